@@ -0,0 +1,59 @@
+const vscode = require('vscode');
+const { BuildSessionMarkers } = require('./buildSession');
+const { findFailedStepRanges, findLocationLinks } = require('./logDocument');
+
+const LANGUAGE_ID = 'build-log';
+
+function getLines(document) {
+    const lines = [];
+    for (let i = 0; i < document.lineCount; i++) {
+        lines.push(document.lineAt(i).text);
+    }
+    return lines;
+}
+
+// Turns every location reported by the configured problem patterns into a link that opens
+// the file at that line and column.
+class BuildLogLinkProvider {
+    constructor(watcher) {
+        this.watcher = watcher;
+    }
+
+    provideDocumentLinks(document) {
+        const logFilePath = document.uri.fsPath;
+        const folder = this.watcher.logFolders.get(logFilePath) || vscode.workspace.getWorkspaceFolder(document.uri);
+        const problemPatterns = this.watcher.getCompiledProblemPatterns(folder);
+
+        return findLocationLinks(getLines(document), problemPatterns).map(({ line, start, end, errorInfo }) => {
+            const filePath = this.watcher.resolveFilePath(errorInfo, logFilePath, folder);
+            const fragment = errorInfo.line ? `L${errorInfo.line}${errorInfo.column ? `,${errorInfo.column}` : ''}` : '';
+            const link = new vscode.DocumentLink(
+                new vscode.Range(line, start, line, end),
+                vscode.Uri.file(filePath).with({ fragment })
+            );
+            link.tooltip = `Open ${filePath}${errorInfo.line ? `:${errorInfo.line}` : ''}`;
+            return link;
+        });
+    }
+}
+
+// Folds the output of each failed build step under its FAILED line.
+class BuildLogFoldingRangeProvider {
+    constructor(watcher) {
+        this.watcher = watcher;
+    }
+
+    provideFoldingRanges(document) {
+        const folder = this.watcher.logFolders.get(document.uri.fsPath) || vscode.workspace.getWorkspaceFolder(document.uri);
+        const markers = new BuildSessionMarkers(this.watcher.getConfiguration(folder).get('buildSessionMarkers') || {});
+
+        return findFailedStepRanges(getLines(document), markers)
+            .map(({ start, end }) => new vscode.FoldingRange(start, end, vscode.FoldingRangeKind.Region));
+    }
+}
+
+module.exports = {
+    LANGUAGE_ID,
+    BuildLogLinkProvider,
+    BuildLogFoldingRangeProvider
+};
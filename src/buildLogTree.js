@@ -0,0 +1,156 @@
+const vscode = require('vscode');
+const path = require('path');
+
+const severityFilters = [
+    { severity: vscode.DiagnosticSeverity.Error, label: 'Errors' },
+    { severity: vscode.DiagnosticSeverity.Warning, label: 'Warnings' },
+    { severity: vscode.DiagnosticSeverity.Information, label: 'Information' },
+    { severity: vscode.DiagnosticSeverity.Hint, label: 'Hints' }
+];
+
+const severityIcons = {
+    [vscode.DiagnosticSeverity.Error]: new vscode.ThemeIcon('error', new vscode.ThemeColor('problemsErrorIcon.foreground')),
+    [vscode.DiagnosticSeverity.Warning]: new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground')),
+    [vscode.DiagnosticSeverity.Information]: new vscode.ThemeIcon('info', new vscode.ThemeColor('problemsInfoIcon.foreground')),
+    [vscode.DiagnosticSeverity.Hint]: new vscode.ThemeIcon('lightbulb')
+};
+
+function describeCounts(problems) {
+    const errors = problems.filter(problem => problem.diagnostic.severity === vscode.DiagnosticSeverity.Error).length;
+    const warnings = problems.filter(problem => problem.diagnostic.severity === vscode.DiagnosticSeverity.Warning).length;
+    const others = problems.length - errors - warnings;
+
+    const parts = [];
+    if (errors) {
+        parts.push(`${errors} ${errors === 1 ? 'error' : 'errors'}`);
+    }
+    if (warnings) {
+        parts.push(`${warnings} ${warnings === 1 ? 'warning' : 'warnings'}`);
+    }
+    if (others) {
+        parts.push(`${others} other`);
+    }
+    return parts.join(', ');
+}
+
+function openLocation(filePath, range) {
+    return {
+        command: 'vscode.open',
+        title: 'Open',
+        arguments: [vscode.Uri.file(filePath), { selection: range }]
+    };
+}
+
+// Lists each watched log, the failed build steps in it and the problems each step reported,
+// using the results of the last parse.
+class BuildLogTreeProvider {
+    constructor(watcher) {
+        this.watcher = watcher;
+        this.shownSeverities = new Set(severityFilters.map(filter => filter.severity));
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+        this.subscription = watcher.onDidChange(() => this.changeEmitter.fire());
+    }
+
+    // Describes the severity filter for the view title, or undefined when nothing is hidden
+    getFilterDescription() {
+        if (this.shownSeverities.size === severityFilters.length) {
+            return undefined;
+        }
+        const shown = severityFilters.filter(filter => this.shownSeverities.has(filter.severity));
+        return shown.length > 0 ? shown.map(filter => filter.label).join(', ') : 'Nothing shown';
+    }
+
+    async pickSeverityFilter() {
+        const items = severityFilters.map(filter => ({
+            label: filter.label,
+            severity: filter.severity,
+            picked: this.shownSeverities.has(filter.severity)
+        }));
+
+        const selected = await vscode.window.showQuickPick(items, {
+            canPickMany: true,
+            placeHolder: 'Select the severities to show in the Build Log view'
+        });
+        if (selected) {
+            this.shownSeverities = new Set(selected.map(item => item.severity));
+            this.changeEmitter.fire();
+        }
+    }
+
+    filterProblems(problems) {
+        return problems.filter(problem => this.shownSeverities.has(problem.diagnostic.severity));
+    }
+
+    getChildren(element) {
+        if (!element) {
+            if (!this.watcher.watching) {
+                // Shows the welcome content instead
+                return [];
+            }
+            return this.watcher.getVisibleLogStates().map(([filePath, state]) => ({ kind: 'log', filePath, state }));
+        }
+
+        if (element.kind === 'log') {
+            return element.state.publishedSteps
+                .filter(step => step.problems.length === 0 || this.filterProblems(step.problems).length > 0)
+                .map(step => ({ kind: 'step', filePath: element.filePath, step }));
+        }
+
+        if (element.kind === 'step') {
+            return this.filterProblems(element.step.problems).map(problem => ({ kind: 'problem', problem }));
+        }
+
+        return [];
+    }
+
+    getTreeItem(element) {
+        if (element.kind === 'log') {
+            const problems = this.filterProblems(element.state.publishedSteps.flatMap(step => step.problems));
+            const item = new vscode.TreeItem(element.state.name, vscode.TreeItemCollapsibleState.Expanded);
+            item.description = describeCounts(problems) || 'No problems';
+            item.tooltip = element.filePath;
+            item.iconPath = new vscode.ThemeIcon('output');
+            item.command = openLocation(element.filePath);
+            item.contextValue = 'buildLog';
+            return item;
+        }
+
+        if (element.kind === 'step') {
+            const { step } = element;
+            const item = new vscode.TreeItem(step.name ?? 'Other problems', vscode.TreeItemCollapsibleState.Expanded);
+            item.description = describeCounts(this.filterProblems(step.problems));
+            if (step.name !== null) {
+                item.tooltip = `FAILED: ${step.name}\nLine ${step.lineNumber + 1} of ${element.filePath}`;
+                item.iconPath = new vscode.ThemeIcon('close');
+                item.command = openLocation(element.filePath, new vscode.Range(step.lineNumber, 0, step.lineNumber, 0));
+            } else {
+                item.tooltip = 'Problems reported outside a failed build step';
+                item.iconPath = new vscode.ThemeIcon('list-flat');
+            }
+            if (step.problems.length === 0) {
+                item.collapsibleState = vscode.TreeItemCollapsibleState.None;
+            }
+            item.contextValue = 'buildStep';
+            return item;
+        }
+
+        const { filePath, diagnostic } = element.problem;
+        const item = new vscode.TreeItem(diagnostic.message, vscode.TreeItemCollapsibleState.None);
+        item.description = `${path.basename(filePath)}:${diagnostic.range.start.line + 1}`;
+        item.tooltip = `${vscode.workspace.asRelativePath(filePath)}:${diagnostic.range.start.line + 1}:${diagnostic.range.start.character + 1}\n${diagnostic.message}`;
+        item.iconPath = severityIcons[diagnostic.severity];
+        item.command = openLocation(filePath, diagnostic.range);
+        item.contextValue = 'buildProblem';
+        return item;
+    }
+
+    dispose() {
+        this.subscription.dispose();
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = {
+    BuildLogTreeProvider
+};
@@ -0,0 +1,76 @@
+const { logError } = require('./log');
+
+// ninja prints "Entering directory" when it starts, and either stops with an error or
+// reaches the last step, e.g. "[340/340] LINK ./chrome", when it is done.
+const DEFAULT_START_MARKERS = [
+    '^ninja: Entering directory'
+];
+const DEFAULT_END_MARKERS = [
+    '^ninja: build stopped',
+    '^ninja: no work to do',
+    '^\\[(\\d+)/\\1\\] ',
+    '^build finished',
+    '^Build (succeeded|failed)'
+];
+
+// ninja prints "FAILED: <outputs>" before the output of a failed step, and siso adds the
+// exit code, e.g. "FAILED: [code=1] obj/base/foo.o". The first group names the step.
+const DEFAULT_FAILED_STEP_MARKERS = [
+    '^FAILED: (?:\\[code=-?\\d+\\] )?(.*)$'
+];
+// Every step starts with its progress, e.g. "[12/340] CXX obj/base/foo.o"
+const DEFAULT_STEP_MARKERS = [
+    '^\\[\\d+/\\d+\\] '
+];
+
+function compileMarkers(patterns) {
+    return patterns.map(pattern => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            logError(`Invalid build session marker: ${pattern}`, error);
+            return null;
+        }
+    }).filter(regex => regex !== null);
+}
+
+// Recognizes where builds start and end in a log, so results from the previous build can
+// stay visible until the next one has results of its own. Also recognizes the steps of a
+// build that failed, so problems can be grouped by the step that reported them.
+class BuildSessionMarkers {
+    constructor(markers = {}) {
+        // Most build tools truncate the log when a new build starts
+        this.truncation = markers.truncation !== false;
+        this.start = compileMarkers(markers.start ?? DEFAULT_START_MARKERS);
+        this.end = compileMarkers(markers.end ?? DEFAULT_END_MARKERS);
+        this.failedStep = compileMarkers(markers.failedStep ?? DEFAULT_FAILED_STEP_MARKERS);
+        this.step = compileMarkers(markers.step ?? DEFAULT_STEP_MARKERS);
+    }
+
+    isStart(line) {
+        return this.start.some(regex => regex.test(line));
+    }
+
+    isEnd(line) {
+        return this.end.some(regex => regex.test(line));
+    }
+
+    // Returns the name of the step if the line marks a failed one, otherwise null
+    matchFailedStep(line) {
+        for (const regex of this.failedStep) {
+            const match = regex.exec(line);
+            if (match) {
+                return (match[1] ?? match[0]).trim();
+            }
+        }
+        return null;
+    }
+
+    isStep(line) {
+        return this.step.some(regex => regex.test(line));
+    }
+}
+
+module.exports = {
+    BuildSessionMarkers
+};
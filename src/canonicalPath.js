@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const defaultCaseInsensitive = process.platform === 'win32' || process.platform === 'darwin';
+
+// Turns the different spellings of a path printed in a log, e.g. through a symlinked output
+// folder or in another case on Windows, into one path so each file gets one set of problems.
+class PathCanonicalizer {
+    constructor(caseInsensitive = defaultCaseInsensitive) {
+        this.caseInsensitive = caseInsensitive;
+        this.cache = new Map(); // Map of resolved path to its canonical path
+        this.casedPaths = new Map(); // Map of lowercased canonical path to the first spelling seen
+    }
+
+    canonicalize(filePath) {
+        const resolved = path.resolve(filePath);
+        if (this.cache.has(resolved)) {
+            return this.cache.get(resolved);
+        }
+
+        let canonical = this.realpath(resolved);
+        if (this.caseInsensitive) {
+            // realpath fixes the case of existing files, but files that don't exist yet,
+            // such as generated headers, keep whatever case they were printed in
+            const folded = canonical.toLowerCase();
+            if (this.casedPaths.has(folded)) {
+                canonical = this.casedPaths.get(folded);
+            } else {
+                this.casedPaths.set(folded, canonical);
+            }
+        }
+
+        this.cache.set(resolved, canonical);
+        return canonical;
+    }
+
+    // Resolves symlinks in the longest part of the path that exists
+    realpath(resolved) {
+        const missing = [];
+        let existing = resolved;
+        while (true) {
+            try {
+                return path.join(fs.realpathSync.native(existing), ...missing);
+            } catch (error) {
+                const parent = path.dirname(existing);
+                if (parent === existing) {
+                    return resolved;
+                }
+                missing.unshift(path.basename(existing));
+                existing = parent;
+            }
+        }
+    }
+
+    clear() {
+        this.cache.clear();
+        this.casedPaths.clear();
+    }
+}
+
+module.exports = {
+    PathCanonicalizer
+};
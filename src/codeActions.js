@@ -0,0 +1,80 @@
+const vscode = require('vscode');
+
+// Offers "Show in Build Log" on problems reported by the watcher, which opens the log at the
+// lines the problem was parsed from, and "Suppress this diagnostic" on problems found in a
+// workspace folder, which adds the problem to the folder's baseline file.
+class BuildLogCodeActionProvider {
+    constructor(watcher) {
+        this.watcher = watcher;
+    }
+
+    provideCodeActions(document, range, context) {
+        const actions = [];
+        context.diagnostics.forEach(diagnostic => {
+            const origin = this.watcher.getDiagnosticOrigin(document.uri, diagnostic);
+            if (!origin) {
+                return;
+            }
+
+            const action = new vscode.CodeAction('Show in Build Log', vscode.CodeActionKind.QuickFix);
+            action.diagnostics = [diagnostic];
+            action.command = {
+                command: 'watchbuildlog.showInBuildLog',
+                title: 'Show in Build Log',
+                arguments: [origin.logFilePath, origin.range.start.line, origin.range.end.line]
+            };
+            actions.push(action);
+
+            if (origin.folder) {
+                const suppressAction = new vscode.CodeAction('Suppress this diagnostic', vscode.CodeActionKind.QuickFix);
+                suppressAction.diagnostics = [diagnostic];
+                suppressAction.command = {
+                    command: 'watchbuildlog.suppressDiagnostic',
+                    title: 'Suppress this diagnostic',
+                    arguments: [document.uri, diagnostic]
+                };
+                actions.push(suppressAction);
+            }
+        });
+        return actions;
+    }
+}
+
+BuildLogCodeActionProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+// Highlights the lines a problem was parsed from in the build log. The highlight stays until
+// another problem is shown or the log is closed.
+class BuildLogHighlighter {
+    constructor() {
+        this.decorationType = vscode.window.createTextEditorDecorationType({
+            backgroundColor: new vscode.ThemeColor('editor.rangeHighlightBackground'),
+            overviewRulerColor: new vscode.ThemeColor('editorOverviewRuler.rangeHighlightForeground'),
+            overviewRulerLane: vscode.OverviewRulerLane.Full,
+            isWholeLine: true
+        });
+        this.editor = null;
+    }
+
+    async show(logFilePath, startLine, endLine = startLine) {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.file(logFilePath));
+        const range = new vscode.Range(startLine, 0, endLine, document.lineAt(Math.min(endLine, document.lineCount - 1)).text.length);
+        const editor = await vscode.window.showTextDocument(document, {
+            selection: new vscode.Range(startLine, 0, startLine, 0),
+            preview: true
+        });
+
+        this.editor?.setDecorations(this.decorationType, []);
+        editor.setDecorations(this.decorationType, [range]);
+        editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        this.editor = editor;
+    }
+
+    dispose() {
+        this.decorationType.dispose();
+    }
+}
+
+module.exports = {
+    BuildLogCodeActionProvider,
+    BuildLogHighlighter
+};
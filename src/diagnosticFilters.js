@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const { logErrorOnce } = require('./log');
+const { SEVERITIES, compileConditions } = require('./severityRules');
+
+// Hides problems nobody intends to fix, such as known warnings in third-party code, using
+// the watchbuildlog.diagnosticFilters setting and a baseline file of suppressed problems
+// checked in next to the code.
+
+const BASELINE_FILE_NAME = '.buildlogignore';
+
+const BASELINE_HEADER = [
+    '# Problems hidden by Watch Build Log. Each line starts with the fingerprint of a problem,',
+    '# which is made of its file, code and message, so it survives line numbers changing.',
+    ''
+].join('\n');
+
+// Paths in fingerprints are relative to the workspace folder with '/' separators, so they
+// are the same for everyone sharing the baseline
+function toBaselinePath(filePath, basePath) {
+    if (!basePath) {
+        return filePath;
+    }
+    const relativePath = path.relative(basePath, filePath);
+    return path.isAbsolute(relativePath) ? filePath : relativePath.split(path.sep).join('/');
+}
+
+function normalizeMessage(message) {
+    return String(message ?? '').trim().replace(/\s+/g, ' ');
+}
+
+// Returns a short, stable identifier of a problem of the form { filePath, code, message }
+function getFingerprint(problem, basePath) {
+    return crypto.createHash('sha256')
+        .update([toBaselinePath(problem.filePath, basePath), problem.code ?? '', normalizeMessage(problem.message)].join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Returns the line that suppresses a problem, which names the problem after the fingerprint
+// for whoever reviews the baseline
+function formatBaselineEntry(problem, basePath) {
+    const code = problem.code !== undefined ? ` [${problem.code}]` : '';
+    return `${getFingerprint(problem, basePath)}  # ${toBaselinePath(problem.filePath, basePath)}: ${normalizeMessage(problem.message)}${code}`;
+}
+
+// Returns the text to append to a baseline file for a problem, starting the file with a
+// header when it is empty. Returns '' when the problem is already listed.
+function appendBaselineEntry(baselineText, problem, basePath) {
+    if (parseBaseline(baselineText).has(getFingerprint(problem, basePath))) {
+        return '';
+    }
+    const separator = baselineText === '' ? BASELINE_HEADER : (baselineText.endsWith('\n') ? '' : '\n');
+    return separator + formatBaselineEntry(problem, basePath) + '\n';
+}
+
+// Returns the fingerprints listed in a baseline file. Everything after '#' is a comment.
+function parseBaseline(text) {
+    const fingerprints = new Set();
+    text.split(/\r?\n/).forEach(line => {
+        const fingerprint = line.replace(/#.*$/, '').trim().split(/\s+/)[0];
+        if (fingerprint) {
+            fingerprints.add(fingerprint.toLowerCase());
+        }
+    });
+    return fingerprints;
+}
+
+function compileRules(rules, basePath) {
+    return (Array.isArray(rules) ? rules : []).map(rule => {
+        try {
+            if (!rule || typeof rule !== 'object') {
+                throw new Error('a rule must be an object');
+            }
+            return compileConditions(rule, basePath);
+        } catch (error) {
+            logErrorOnce(`Invalid diagnostic filter ${JSON.stringify(rule)}:`, error);
+            return null;
+        }
+    }).filter(rule => rule !== null);
+}
+
+// Decides which problems are published. A problem is shown when it is at least as severe as
+// `minimumSeverity`, matches one of the `include` rules if there are any, matches none of the
+// `exclude` rules and its fingerprint is not in the baseline. Rules match like severity rule
+// overrides, on `file` globs relative to basePath, `code` and `message` regexes and `severity`.
+class DiagnosticFilter {
+    constructor(settings = {}, basePath = '', suppressedFingerprints = new Set()) {
+        settings = settings && typeof settings === 'object' ? settings : {};
+
+        this.basePath = basePath;
+        this.include = compileRules(settings.include, basePath);
+        this.exclude = compileRules(settings.exclude, basePath);
+        // SEVERITIES go from most to least severe, so this is the last index shown
+        const minimumIndex = SEVERITIES.indexOf(settings.minimumSeverity);
+        this.minimumSeverityIndex = minimumIndex === -1 ? SEVERITIES.length - 1 : minimumIndex;
+        this.suppressedFingerprints = suppressedFingerprints;
+    }
+
+    // Tells whether a problem of the form { severity, filePath, code, message } is published,
+    // where severity is one of SEVERITIES.
+    isShown(problem) {
+        if (SEVERITIES.indexOf(problem.severity) > this.minimumSeverityIndex) {
+            return false;
+        }
+        if (this.include.length > 0 && !this.include.some(matches => matches(problem))) {
+            return false;
+        }
+        if (this.exclude.some(matches => matches(problem))) {
+            return false;
+        }
+        return this.suppressedFingerprints.size === 0 || !this.suppressedFingerprints.has(getFingerprint(problem, this.basePath));
+    }
+}
+
+module.exports = {
+    BASELINE_FILE_NAME,
+    DiagnosticFilter,
+    appendBaselineEntry,
+    getFingerprint,
+    parseBaseline
+};
@@ -1,16 +1,44 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const { BuildLogFoldingRangeProvider, BuildLogLinkProvider, LANGUAGE_ID } = require('./buildLogLanguage');
+const { BuildLogTreeProvider } = require('./buildLogTree');
+const { BuildSessionMarkers } = require('./buildSession');
+const { PathCanonicalizer } = require('./canonicalPath');
+const { BuildLogCodeActionProvider, BuildLogHighlighter } = require('./codeActions');
+const { BASELINE_FILE_NAME, DiagnosticFilter, appendBaselineEntry, parseBaseline } = require('./diagnosticFilters');
+const { splitGlobBase } = require('./glob');
+const { clearLoggedErrors, log, logDebug, logError, logTrace, logWarning, setLogLevel, setOutputChannel } = require('./log');
+const { discoverLogs } = require('./logDiscovery');
+const { getConfiguredEncoding } = require('./logEncoding');
+const { DEFAULT_STRATEGY, formatFileSize, selectNewestLog } = require('./logSelection');
+const { PathMapper } = require('./pathMappings');
+const { PathTranslator } = require('./pathTranslation');
+const { CompiledProblemPatterns, ProblemMatcher } = require('./problemMatcher');
+const { SeverityRules } = require('./severityRules');
+const { BuildLogStatusBar } = require('./statusBar');
+const { resolveProblemMatchers } = require('./taskMatchers');
+const { TailReader } = require('./tailReader');
 let buildLogWatcher = null;
 
-const log = (...args) => {
-    console.log('[WatchBuildLog] ', ...args);
-}
+const PINNED_LOG_KEY = 'watchbuildlog.pinnedLog';
+
+// How long a log has to stay the same before its last line is parsed without a newline
+const PARTIAL_LINE_DELAY_MS = 2000;
+
+const strategyDescriptions = {
+    newestModified: 'Show the most recently modified log',
+    newestName: 'Show the log whose name sorts last',
+    newestCreated: 'Show the most recently created log'
+};
 
 function activate(context) {
+    const outputChannel = vscode.window.createOutputChannel('Watch Build Log', { log: true });
+    setOutputChannel(outputChannel);
+    setLogLevel(vscode.workspace.getConfiguration('watchbuildlog').get('logLevel'));
     log('extension is now active!');
 
-    buildLogWatcher = new BuildLogWatcher();
+    buildLogWatcher = new BuildLogWatcher(context.workspaceState);
 
     // Register commands
     const startWatchingCommand = vscode.commands.registerCommand('watchbuildlog.startWatching', () => {
@@ -21,14 +49,93 @@ function activate(context) {
         buildLogWatcher.stopWatching();
     });
 
-    // Watch for configuration changes
+    // Watch for configuration changes. Referenced problem matchers can also come from
+    // tasks.json or from other extensions.
     const configChangeWatcher = vscode.workspace.onDidChangeConfiguration(event => {
-        if (event.affectsConfiguration('watchbuildlog')) {
+        if (event.affectsConfiguration('watchbuildlog.logLevel')) {
+            setLogLevel(vscode.workspace.getConfiguration('watchbuildlog').get('logLevel'));
+        }
+        if (event.affectsConfiguration('watchbuildlog') || event.affectsConfiguration('tasks')) {
             buildLogWatcher.onConfigurationChanged();
         }
     });
 
-    context.subscriptions.push(startWatchingCommand, stopWatchingCommand, configChangeWatcher);
+    const extensionsChangeWatcher = vscode.extensions.onDidChange(() => {
+        buildLogWatcher.onConfigurationChanged();
+    });
+
+    const workspaceFoldersWatcher = vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        buildLogWatcher.onWorkspaceFoldersChanged();
+    });
+
+    const showMenuCommand = vscode.commands.registerCommand('watchbuildlog.showMenu', () => {
+        showBuildLogMenu();
+    });
+
+    const reparseCommand = vscode.commands.registerCommand('watchbuildlog.reparse', () => {
+        buildLogWatcher.reparse();
+    });
+
+    const showOutputCommand = vscode.commands.registerCommand('watchbuildlog.showOutput', () => {
+        outputChannel.show(true);
+    });
+
+    const selectLogCommand = vscode.commands.registerCommand('watchbuildlog.selectLog', () => {
+        selectBuildLog();
+    });
+
+    const statusBar = new BuildLogStatusBar(buildLogWatcher);
+
+    const buildLogTree = new BuildLogTreeProvider(buildLogWatcher);
+    const buildLogView = vscode.window.createTreeView('watchbuildlog.buildLogView', {
+        treeDataProvider: buildLogTree,
+        showCollapseAll: true
+    });
+
+    const filterViewCommand = vscode.commands.registerCommand('watchbuildlog.filterBuildLogView', async () => {
+        await buildLogTree.pickSeverityFilter();
+        buildLogView.description = buildLogTree.getFilterDescription();
+    });
+
+    const highlighter = new BuildLogHighlighter();
+    // The log may have been deleted since, or be too large for VS Code to open
+    const showInBuildLog = async (logFilePath, startLine, endLine) => {
+        try {
+            await highlighter.show(logFilePath, startLine, endLine);
+        } catch (error) {
+            logError(`Failed to show lines of ${logFilePath}:`, error);
+            vscode.window.showErrorMessage(`Failed to open the build log: ${error.message}`);
+        }
+    };
+    const showInBuildLogCommand = vscode.commands.registerCommand('watchbuildlog.showInBuildLog', (target, startLine, endLine) => {
+        // Invoked from a code action with the log location, or from a problem in the Build Log view
+        if (target?.kind === 'problem') {
+            const origin = buildLogWatcher.diagnosticOrigins.get(target.problem.diagnostic);
+            return origin ? showInBuildLog(origin.logFilePath, origin.range.start.line, origin.range.end.line) : undefined;
+        }
+        return showInBuildLog(target, startLine, endLine);
+    });
+
+    const suppressDiagnosticCommand = vscode.commands.registerCommand('watchbuildlog.suppressDiagnostic', (uri, diagnostic) => {
+        return buildLogWatcher.suppressDiagnostic(uri, diagnostic);
+    });
+
+    const codeActionProvider = vscode.languages.registerCodeActionsProvider({ scheme: 'file' }, new BuildLogCodeActionProvider(buildLogWatcher), {
+        providedCodeActionKinds: BuildLogCodeActionProvider.providedCodeActionKinds
+    });
+
+    const linkProvider = vscode.languages.registerDocumentLinkProvider({ language: LANGUAGE_ID }, new BuildLogLinkProvider(buildLogWatcher));
+    const foldingRangeProvider = vscode.languages.registerFoldingRangeProvider({ language: LANGUAGE_ID }, new BuildLogFoldingRangeProvider(buildLogWatcher));
+
+    // Watched logs often have no extension, e.g. siso_output, so they open as plain text
+    const openDocumentWatcher = vscode.workspace.onDidOpenTextDocument(document => {
+        applyBuildLogLanguage(document);
+    });
+    const watchedLogsWatcher = buildLogWatcher.onDidChange(() => {
+        vscode.workspace.textDocuments.forEach(applyBuildLogLanguage);
+    });
+
+    context.subscriptions.push(outputChannel, highlighter, showInBuildLogCommand, suppressDiagnosticCommand, codeActionProvider, linkProvider, foldingRangeProvider, openDocumentWatcher, watchedLogsWatcher, startWatchingCommand, stopWatchingCommand, showMenuCommand, reparseCommand, showOutputCommand, selectLogCommand, filterViewCommand, statusBar, buildLogTree, buildLogView, configChangeWatcher, extensionsChangeWatcher, workspaceFoldersWatcher);
 
     // Auto-start if configured
     const config = vscode.workspace.getConfiguration('watchbuildlog');
@@ -37,6 +144,72 @@ function activate(context) {
     }
 }
 
+// Switches watched logs that opened as plain text or as a generic log to the build log language
+function applyBuildLogLanguage(document) {
+    if (document.uri.scheme === 'file' &&
+        (document.languageId === 'plaintext' || document.languageId === 'log') &&
+        buildLogWatcher.watchers.has(document.uri.fsPath)) {
+        vscode.languages.setTextDocumentLanguage(document, LANGUAGE_ID);
+    }
+}
+
+async function showBuildLogMenu() {
+    const items = [
+        buildLogWatcher.watching
+            ? { label: '$(debug-stop) Stop Watching Build Log', command: 'watchbuildlog.stopWatching' }
+            : { label: '$(eye) Start Watching Build Log', command: 'watchbuildlog.startWatching' },
+        { label: '$(refresh) Reparse Build Log', command: 'watchbuildlog.reparse' },
+        { label: '$(list-selection) Select Build Log...', command: 'watchbuildlog.selectLog' },
+        { label: '$(output) Show Output', command: 'watchbuildlog.showOutput' }
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, { placeHolder: 'Watch Build Log' });
+    if (selected) {
+        vscode.commands.executeCommand(selected.command);
+    }
+}
+
+// Lists every matched log with its modification time and size, and pins the selected one.
+// The first entry goes back to selecting the log automatically.
+async function selectBuildLog() {
+    const { activeLogFile } = buildLogWatcher.getStatus();
+    const pinnedLog = buildLogWatcher.pinnedLog;
+
+    const logItems = buildLogWatcher.getMatchedFiles(false).map(filePath => {
+        let stats = null;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            // File might have been deleted since it was matched
+        }
+        return { filePath, stats };
+    }).filter(item => item.stats).sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs).map(({ filePath, stats }) => ({
+        label: `${filePath === pinnedLog ? '$(pinned) ' : ''}${vscode.workspace.asRelativePath(filePath)}`,
+        description: `${stats.mtime.toLocaleString()} · ${formatFileSize(stats.size)}`,
+        detail: filePath === activeLogFile ? 'Showing problems from this log' : undefined,
+        filePath
+    }));
+
+    if (logItems.length === 0) {
+        vscode.window.showWarningMessage('No files found matching the configured wildcard patterns.');
+        return;
+    }
+
+    const automaticItem = {
+        label: `${pinnedLog ? '' : '$(check) '}Select Automatically`,
+        description: strategyDescriptions[buildLogWatcher.logSelectionStrategy],
+        filePath: null
+    };
+
+    const selected = await vscode.window.showQuickPick([automaticItem, ...logItems], {
+        placeHolder: 'Select the build log to show problems from',
+        matchOnDescription: true
+    });
+    if (selected) {
+        buildLogWatcher.pinLog(selected.filePath);
+    }
+}
+
 function deactivate() {
     if (buildLogWatcher) {
         buildLogWatcher.stopWatching();
@@ -46,42 +219,168 @@ function deactivate() {
 }
 
 class BuildLogWatcher {
-    constructor() {
+    constructor(workspaceState) {
         this.watchers = new Map(); // Map of file path to watcher
+        this.logStates = new Map(); // Map of file path to incremental parse state
+        this.logFolders = new Map(); // Map of file path to the workspace folder it was found in
         this.diagnostics = vscode.languages.createDiagnosticCollection('buildlog');
         this.watching = false;
         this.intervalId = null;
+        this.diagnosticsScope = 'mostRecentLog';
+        this.parsing = false;
+        this.parseCount = 0; // Parses in progress, which may be for several logs
+        this.activeLogFile = null; // The log problems are shown from, when only showing one
+        this.workspaceState = workspaceState;
+        this.pinnedLog = workspaceState?.get(PINNED_LOG_KEY) || null; // Shown instead of the newest log while it matches
+        this.logSelectionStrategy = DEFAULT_STRATEGY;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.changeEmitter.event;
+        this.diagnosticOrigins = new WeakMap(); // Map of diagnostic to the log lines it was parsed from
+        this.compiledPatterns = new Map(); // Map of workspace folder to its compiled problem patterns
+        this.pathMappers = new Map(); // Map of workspace folder to its path mappings
+        this.pathTranslators = new Map(); // Map of workspace folder to its path translation
+        this.severityRules = new Map(); // Map of workspace folder to its severity rules
+        this.diagnosticFilters = new Map(); // Map of workspace folder to its filters and baseline
+        this.reportedMissingPaths = new Set(); // Mapped paths already reported as missing
+        this.canonicalizer = new PathCanonicalizer();
+        this.discoveryWatchers = []; // File system watchers for the folders the wildcards point into
+        this.baselineWatchers = []; // File system watchers for the baseline file of each workspace folder
+        this.updateTimer = null;
+        this.pendingFileChange = false;
+    }
+
+    // Returns [filePath, state] pairs for the logs whose problems are shown
+    getVisibleLogStates() {
+        if (this.diagnosticsScope === 'allLogs') {
+            return Array.from(this.logStates.entries());
+        }
+        const state = this.logStates.get(this.activeLogFile);
+        return state ? [[this.activeLogFile, state]] : [];
+    }
+
+    // Returns the log lines a published diagnostic was parsed from, or undefined. Diagnostics
+    // handed to code action providers are copies, so they are found by location and message.
+    getDiagnosticOrigin(uri, diagnostic) {
+        for (const [, state] of this.getVisibleLogStates()) {
+            const published = (state.collection || this.diagnostics).get(uri) || [];
+            const match = published.find(candidate =>
+                candidate.message === diagnostic.message &&
+                candidate.range.start.line === diagnostic.range.start.line &&
+                candidate.range.start.character === diagnostic.range.start.character);
+            if (match && this.diagnosticOrigins.has(match)) {
+                return this.diagnosticOrigins.get(match);
+            }
+        }
+        return undefined;
+    }
+
+    getStatus() {
+        const visibleStates = this.getVisibleLogStates().map(([, state]) => state);
+
+        return {
+            watching: this.watching,
+            parsing: this.parsing,
+            activeLogFile: this.activeLogFile,
+            activeLogName: this.logStates.get(this.activeLogFile)?.name ?? null,
+            pinned: this.activeLogFile !== null && this.activeLogFile === this.pinnedLog,
+            logCount: this.watchers.size,
+            errors: visibleStates.reduce((sum, state) => sum + state.errorCount, 0),
+            warnings: visibleStates.reduce((sum, state) => sum + state.warningCount, 0)
+        };
+    }
+
+    // Shows problems from the given log instead of the newest one, across restarts. Pass
+    // null to go back to selecting the log automatically.
+    pinLog(filePath) {
+        this.pinnedLog = filePath;
+        this.workspaceState?.update(PINNED_LOG_KEY, filePath || undefined);
+        if (this.watching) {
+            this.updateWatchersAndParseMostRecentLog(true);
+        }
+    }
+
+    // Forgets what has been parsed so far and parses the logs again from the start.
+    reparse() {
+        if (!this.watching) {
+            vscode.window.showInformationMessage('Not watching build log files.');
+            return;
+        }
+
+        Array.from(this.logStates.keys()).forEach(filePath => this.deleteLogState(filePath));
+        this.diagnostics.clear();
+        this.updateWatchersAndParseMostRecentLog(true);
+    }
+
+    onWorkspaceFoldersChanged() {
+        if (this.watching) {
+            if (this.watchMode !== 'polling') {
+                this.disposeDiscoveryWatchers();
+                this.createDiscoveryWatchers();
+            }
+            this.disposeBaselineWatchers();
+            this.createBaselineWatchers();
+            this.updateWatchersAndParseMostRecentLog();
+        }
     }
 
     onConfigurationChanged() {
+        // Build log links use the path mappings even while not watching
+        this.compiledPatterns.clear();
+        this.pathMappers.clear();
+        this.pathTranslators.clear();
+        this.severityRules.clear();
+        this.diagnosticFilters.clear();
+        this.canonicalizer.clear();
+        // Settings that are still invalid are reported again
+        clearLoggedErrors();
         if (this.watching) {
             this.stopWatching();
             this.startWatching();
         }
     }
 
-    getMatchedFiles(showWarnings = false) {
-        const config = vscode.workspace.getConfiguration('watchbuildlog');
-        const wildcards = config.get('logFilePathWildcards') || [];
-        const problemPatterns = config.get('problemMatcherPatterns') || [];
+    // Settings are resource scoped, so each workspace folder may configure its own logs
+    // and problem patterns.
+    getConfiguration(folder) {
+        return vscode.workspace.getConfiguration('watchbuildlog', folder?.uri);
+    }
 
-        if (wildcards.length === 0 && showWarnings) {
-            vscode.window.showErrorMessage('No build log file patterns configured. Please set "watchbuildlog.logFilePathWildcards" in your settings.');
-            return [];
-        }
-        if (problemPatterns.length === 0 && showWarnings) {
-            vscode.window.showErrorMessage('No problem matcher patterns configured. Please set "watchbuildlog.problemMatcherPatterns" in your settings.');
-            return [];
-        }
+    // Without a workspace folder only absolute patterns from the user settings can be resolved.
+    getWorkspaceFolders() {
+        const folders = vscode.workspace.workspaceFolders || [];
+        return folders.length > 0 ? folders : [undefined];
+    }
 
-        const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || "";
-        if (!workspaceRoot && showWarnings) {
-            vscode.window.showWarningMessage('No workspace folder open. Cannot resolve relative paths.');
+    getMatchedFiles(showWarnings = false) {
+        const folders = this.getWorkspaceFolders();
+
+        if (showWarnings) {
+            const configs = folders.map(folder => this.getConfiguration(folder));
+            if (configs.every(config => (config.get('logFilePathWildcards') || []).filter(pattern => !String(pattern).startsWith('!')).length === 0)) {
+                vscode.window.showErrorMessage('No build log file patterns configured. Please set "watchbuildlog.logFilePathWildcards" in your settings.');
+                return [];
+            }
+            if (configs.every((config, index) => this.getProblemPatterns(config, folders[index]).length === 0)) {
+                vscode.window.showErrorMessage('No problem matcher patterns configured. Please set "watchbuildlog.problemMatcherPatterns" or "watchbuildlog.problemMatchers" in your settings.');
+                return [];
+            }
+            if (!folders[0]) {
+                vscode.window.showWarningMessage('No workspace folder open. Cannot resolve relative paths.');
+            }
         }
 
-        const matchedFiles = this.findMatchingFiles(wildcards, workspaceRoot);
+        this.logFolders = discoverLogs(folders, folder => {
+            const config = this.getConfiguration(folder);
+            return {
+                root: folder?.uri.fsPath || "",
+                wildcards: config.get('logFilePathWildcards') || [],
+                excludes: config.get('logFilePathExcludes') || []
+            };
+        });
+        const matchedFiles = Array.from(this.logFolders.keys());
 
         if (matchedFiles.length === 0 && showWarnings) {
+            logWarning('No files found matching the configured wildcard patterns:', folders.map(folder => this.getConfiguration(folder).get('logFilePathWildcards')));
             vscode.window.showWarningMessage('No files found matching the configured wildcard patterns.');
             return [];
         }
@@ -89,6 +388,42 @@ class BuildLogWatcher {
         return matchedFiles;
     }
 
+    // Returns the problem matcher entries of a folder, which combine the inline
+    // problemMatcherPatterns with the matchers referenced by name from tasks.json and other
+    // extensions. sources is filled with the setting each entry comes from, for reporting
+    // invalid patterns.
+    getProblemPatterns(config, folder, sources = []) {
+        const problemPatterns = config.get('problemMatcherPatterns') || [];
+        const references = config.get('problemMatchers') || [];
+        problemPatterns.forEach((entry, index) => sources.push(`watchbuildlog.problemMatcherPatterns[${index}]`));
+        if (references.length === 0) {
+            return problemPatterns;
+        }
+
+        const contributes = vscode.extensions.all.map(extension => extension.packageJSON?.contributes || {});
+        const tasks = vscode.workspace.getConfiguration('tasks', folder?.uri).get('tasks') || [];
+        // References are resolved one at a time so each entry knows the reference it came from
+        const referencedPatterns = references.flatMap((reference, index) => {
+            const entries = resolveProblemMatchers([reference], contributes, tasks, unknown => {
+                logWarning(`Unknown problem matcher reference: ${unknown}`);
+            });
+            entries.forEach(() => sources.push(`watchbuildlog.problemMatchers[${index}] (${reference})`));
+            return entries;
+        });
+
+        return [...problemPatterns, ...referencedPatterns];
+    }
+
+    // Problem patterns are compiled once per configuration and shared by every build's matcher
+    getCompiledProblemPatterns(folder) {
+        if (!this.compiledPatterns.has(folder)) {
+            const sources = [];
+            const problemPatterns = this.getProblemPatterns(this.getConfiguration(folder), folder, sources);
+            this.compiledPatterns.set(folder, new CompiledProblemPatterns(problemPatterns, sources));
+        }
+        return this.compiledPatterns.get(folder);
+    }
+
     updateWatchersAndParseMostRecentLog(fileChanged = false) {
         const matchedFiles = this.getMatchedFiles(false);
 
@@ -96,8 +431,17 @@ class BuildLogWatcher {
         let fileSetChange = false;
         this.watchers.forEach((watcher, filePath) => {
             if (!matchedFiles.includes(filePath)) {
-                fs.unwatchFile(filePath);
+                watcher.close();
                 this.watchers.delete(filePath);
+                fileSetChange = true;
+            }
+        });
+
+        // Logs that are gone are forgotten, including those whose watcher already closed
+        // itself when the log was deleted
+        this.logStates.forEach((state, filePath) => {
+            if (!matchedFiles.includes(filePath)) {
+                this.deleteLogState(filePath);
                 this.diagnostics.delete(vscode.Uri.file(filePath));
                 fileSetChange = true;
             }
@@ -109,34 +453,42 @@ class BuildLogWatcher {
                 return;
             }
             try {
-                const watcher = fs.watchFile(filePath, (curr, prev) => {
-                    this.updateWatchersAndParseMostRecentLog(true);
-                });
-                
-                this.watchers.set(filePath, watcher);
+                this.watchers.set(filePath, this.watchFile(filePath));
                 fileSetChange = true;
             } catch (error) {
+                logError(`Failed to watch ${filePath}:`, error);
                 vscode.window.showErrorMessage(`Failed to watch ${filePath}: ${error}`);
             }
         });
 
-        if (fileSetChange || fileChanged) {
-            let mostRecentFile = null;
-            let mostRecentTime = 0;
+        if (fileSetChange) {
+            log(`Watching ${this.watchers.size} build log file(s)`);
+        }
 
-            // Find the most recently modified file
-            matchedFiles.forEach(filePath => {
-                try {
-                    const stats = fs.statSync(filePath);
-                    if (stats.mtime.getTime() > mostRecentTime) {
-                        mostRecentTime = stats.mtime.getTime();
-                        mostRecentFile = filePath;
-                    }
-                } catch (error) {
-                    // File might not exist, skip it
+        if ((fileSetChange || fileChanged) && this.diagnosticsScope === 'allLogs') {
+            // Every log keeps its own diagnostics. Logs that did not change are cheap to
+            // check since only appended content is parsed.
+            matchedFiles.forEach(filePath => this.parseLogFile(filePath));
+        } else if (fileSetChange || fileChanged) {
+            // A pinned log that is missing, e.g. while its build folder is recreated, stays
+            // pinned and is shown again once it matches.
+            const mostRecentFile = this.pinnedLog && matchedFiles.includes(this.pinnedLog)
+                ? this.pinnedLog
+                : selectNewestLog(matchedFiles, this.logSelectionStrategy);
+
+            if (mostRecentFile !== this.activeLogFile) {
+                const reason = mostRecentFile === this.pinnedLog ? 'pinned' : `selected by ${this.logSelectionStrategy}`;
+                log(mostRecentFile ? `Showing problems from ${mostRecentFile} (${reason})` : 'No build log to show problems from');
+            }
+
+            // Problems of other logs are no longer shown, so finishing their parse can wait
+            this.logStates.forEach((state, filePath) => {
+                if (filePath !== mostRecentFile) {
+                    this.cancelParse(state);
                 }
             });
 
+            this.activeLogFile = mostRecentFile;
             if (mostRecentFile) {
                 this.parseLogFile(mostRecentFile);
             } else {
@@ -146,9 +498,98 @@ class BuildLogWatcher {
             }
         }
 
-        if (fileSetChange) {
-            vscode.window.showInformationMessage(`Watching ${this.watchers.size} build log file(s)`);
+        this.changeEmitter.fire();
+    }
+
+    // Returns a watcher for a matched log that calls scheduleUpdate when it changes. Polling
+    // is the fallback for network drives and WSL mounts where file events are unreliable.
+    watchFile(filePath) {
+        if (this.watchMode === 'polling') {
+            const listener = () => this.scheduleUpdate(true);
+            fs.watchFile(filePath, { interval: this.pollingInterval }, listener);
+            return { close: () => fs.unwatchFile(filePath, listener) };
         }
+
+        const watcher = fs.watch(filePath, eventType => {
+            if (eventType === 'rename') {
+                // The log was deleted or replaced. fs.watch follows the old file, so watch
+                // the new one if there is one and let the next update sort out the rest.
+                watcher.close();
+                try {
+                    this.watchers.set(filePath, this.watchFile(filePath));
+                } catch (error) {
+                    this.watchers.delete(filePath);
+                }
+            }
+            this.scheduleUpdate(true);
+        });
+        watcher.on('error', () => {
+            watcher.close();
+            this.watchers.delete(filePath);
+            this.scheduleUpdate(true);
+        });
+        return watcher;
+    }
+
+    // Watches the folders the wildcards point into so new and deleted logs are noticed
+    // without rescanning on a timer.
+    createDiscoveryWatchers() {
+        this.getWorkspaceFolders().forEach(folder => {
+            const wildcards = this.getConfiguration(folder).get('logFilePathWildcards') || [];
+            wildcards.filter(pattern => typeof pattern === 'string' && !pattern.startsWith('!')).forEach(pattern => {
+                const resolvedPattern = path.isAbsolute(pattern) ? pattern : path.resolve(folder?.uri.fsPath || "", pattern);
+                const { base, pattern: relativePattern } = splitGlobBase(resolvedPattern);
+                const watcher = vscode.workspace.createFileSystemWatcher(
+                    new vscode.RelativePattern(vscode.Uri.file(base), relativePattern)
+                );
+                watcher.onDidCreate(() => this.scheduleUpdate());
+                watcher.onDidDelete(() => this.scheduleUpdate());
+                watcher.onDidChange(() => this.scheduleUpdate(true));
+                this.discoveryWatchers.push(watcher);
+            });
+        });
+    }
+
+    disposeDiscoveryWatchers() {
+        this.discoveryWatchers.forEach(watcher => watcher.dispose());
+        this.discoveryWatchers = [];
+    }
+
+    // Suppressions come from the code action as well as from pulling a teammate's changes.
+    // Only the baseline file at the root of a workspace folder is read, so that is the one
+    // watched.
+    createBaselineWatchers() {
+        this.getWorkspaceFolders().filter(folder => folder).forEach(folder => {
+            const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, BASELINE_FILE_NAME));
+            watcher.onDidCreate(() => this.onBaselineChanged(folder));
+            watcher.onDidChange(() => this.onBaselineChanged(folder));
+            watcher.onDidDelete(() => this.onBaselineChanged(folder));
+            this.baselineWatchers.push(watcher);
+        });
+    }
+
+    disposeBaselineWatchers() {
+        this.baselineWatchers.forEach(watcher => watcher.dispose());
+        this.baselineWatchers = [];
+    }
+
+    // Coalesces bursts of file events into a single update. The update runs a fixed delay
+    // after the first event rather than after the last one, so a log that is written to
+    // continuously still gets parsed while the build is running.
+    scheduleUpdate(fileChanged = false) {
+        this.pendingFileChange = this.pendingFileChange || fileChanged;
+        if (this.updateTimer) {
+            return;
+        }
+
+        this.updateTimer = setTimeout(() => {
+            const changed = this.pendingFileChange;
+            this.updateTimer = null;
+            this.pendingFileChange = false;
+            if (this.watching) {
+                this.updateWatchersAndParseMostRecentLog(changed);
+            }
+        }, this.debounceDelay);
     }
 
     startWatching() {
@@ -157,18 +598,31 @@ class BuildLogWatcher {
             return;
         }
 
+        const config = vscode.workspace.getConfiguration('watchbuildlog');
+        this.diagnosticsScope = config.get('diagnosticsScope') || 'mostRecentLog';
+        this.logSelectionStrategy = config.get('logSelectionStrategy') || DEFAULT_STRATEGY;
+        this.watchMode = config.get('watchMode') || 'events';
+        this.pollingInterval = config.get('pollingInterval') || 5000;
+        this.debounceDelay = config.get('debounceDelay') ?? 300;
+
         // We don't actually care about the results, but we run it to validate the config 
         // and show warnings if there are config issues.
         this.getMatchedFiles(true);
 
         this.updateWatchersAndParseMostRecentLog(true);
 
-        console.assert(!this.intervalId, 'Interval ID should not be set when starting to watch');
-        this.intervalId = setInterval(() => {
-            this.updateWatchersAndParseMostRecentLog();
-        }, 5000); // Check every 5 seconds
+        if (this.watchMode === 'polling') {
+            console.assert(!this.intervalId, 'Interval ID should not be set when starting to watch');
+            this.intervalId = setInterval(() => {
+                this.updateWatchersAndParseMostRecentLog();
+            }, this.pollingInterval);
+        } else {
+            this.createDiscoveryWatchers();
+        }
+        this.createBaselineWatchers();
 
         this.watching = true;
+        this.changeEmitter.fire();
     }
 
     stopWatching() {
@@ -180,178 +634,626 @@ class BuildLogWatcher {
         this.watching = false;
         clearInterval(this.intervalId);
         this.intervalId = null;
-        this.watchers.forEach((watcher, filePath) => {
-            fs.unwatchFile(filePath);
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.pendingFileChange = false;
+        this.disposeDiscoveryWatchers();
+        this.disposeBaselineWatchers();
+        this.watchers.forEach(watcher => {
+            watcher.close();
         });
         this.watchers.clear();
+        this.compiledPatterns.clear();
+        this.pathMappers.clear();
+        this.pathTranslators.clear();
+        this.severityRules.clear();
+        this.diagnosticFilters.clear();
+        this.canonicalizer.clear();
+        this.reportedMissingPaths.clear();
+        Array.from(this.logStates.keys()).forEach(filePath => this.deleteLogState(filePath));
         this.diagnostics.clear();
+        this.activeLogFile = null;
+        this.changeEmitter.fire();
     }
 
-    findMatchingFiles(wildcards, workspaceRoot) {
-        const matchedFiles = new Set();
+    stripAnsiSequences(input) {
+        // Ansi escape sequences look like:
+        // \x1B[31m for red text
+        // \x1B[0m to reset
+        // \x1B[K to clear line
+        // Or generally like \x1B[<codes>m or \x1B[<codes>K
+        return input.replace(/\x1B\[[0-9;]*[mK]/g, '');
+    }
+
+    // Parses what was appended to a log since the last time. Parses of the same log run one
+    // after another, and a newer change cancels the parse in progress, which stops at the end
+    // of the chunk it is reading without publishing. Since reading is incremental, the next
+    // parse continues where it stopped. A queued parse is dropped when the log was forgotten
+    // or is no longer shown by the time it would start. With flushPartialLine, a last line
+    // without a newline is parsed if the log did not grow since the previous parse.
+    parseLogFile(logFilePath, flushPartialLine = false) {
+        let state = this.logStates.get(logFilePath);
+        if (!state) {
+            state = this.createLogState(logFilePath, this.logFolders.get(logFilePath));
+            this.logStates.set(logFilePath, state);
+        }
+        clearTimeout(state.partialLineTimer);
+        state.partialLineTimer = null;
 
-        wildcards.forEach(pattern => {
-            const resolvedPattern = path.isAbsolute(pattern) ? pattern : path.resolve(workspaceRoot, pattern);
-            const files = this.globMatch(resolvedPattern);
-            files.forEach(file => matchedFiles.add(file));
+        if (state.queuedParse && !state.queuedParse.cancelled) {
+            // The queued parse has not started yet, so it will read this change as well
+            return state.parseTask;
+        }
+
+        this.cancelParse(state);
+        const parse = { cancelled: false };
+        state.queuedParse = parse;
+        state.parseTask = state.parseTask.then(() => {
+            if (state.queuedParse === parse) {
+                state.queuedParse = null;
+            }
+            if (parse.cancelled || !this.isShownLogState(state, logFilePath)) {
+                return;
+            }
+            state.currentParse = parse;
+            return this.runParse(state, logFilePath, () => parse.cancelled, flushPartialLine);
         });
+        return state.parseTask;
+    }
 
-        return Array.from(matchedFiles);
+    // A build that failed or was stopped may never end its last line with a newline, so
+    // the line is parsed once the log stays the same for a while
+    schedulePartialLine(state, logFilePath) {
+        if (state.reader.partialLine === '') {
+            return;
+        }
+        clearTimeout(state.partialLineTimer);
+        state.partialLineTimer = setTimeout(() => {
+            state.partialLineTimer = null;
+            if (this.logStates.get(logFilePath) === state) {
+                this.parseLogFile(logFilePath, true);
+            }
+        }, PARTIAL_LINE_DELAY_MS);
     }
 
-    globMatch(pattern) {
-        const matches = [];
-        const parts = pattern.split(path.sep);
-        
+    cancelParse(state) {
+        if (state.currentParse) {
+            state.currentParse.cancelled = true;
+        }
+        if (state.queuedParse) {
+            state.queuedParse.cancelled = true;
+        }
+    }
+
+    // Tells whether state is still the state of the log and the log's problems are shown.
+    // Parses of other logs must not publish, as they share the diagnostic collection or
+    // belong to a log that was forgotten.
+    isShownLogState(state, logFilePath) {
+        return this.logStates.get(logFilePath) === state &&
+            (this.diagnosticsScope === 'allLogs' || logFilePath === this.activeLogFile);
+    }
+
+    async runParse(state, logFilePath, isCancelled, flushPartialLine = false) {
+        this.parseCount++;
+        this.parsing = true;
+        this.changeEmitter.fire();
+
         try {
-            this.searchPath(parts, 0, '', matches);
+            const folder = this.logFolders.get(logFilePath);
+            const config = this.getConfiguration(folder);
+
+            // Only fall back to a full reparse if the log was truncated or replaced,
+            // otherwise just parse what was appended since the last time.
+            state.problemPatterns = this.getCompiledProblemPatterns(folder);
+            state.maxProblems = config.get('maxProblems') || 0;
+            state.maxProblemsPerFile = config.get('maxProblemsPerFile') || 0;
+            if (state.reader.refresh()) {
+                // A truncated log usually means a new build started, but the previous
+                // results stay visible until the new build reports its own.
+                this.startBuildSession(state, state.markers.truncation);
+            }
+
+            const parseWindow = Math.floor((config.get('parseWindowMB') || 0) * 1024 * 1024);
+            const unreadBytes = state.reader.size - state.reader.offset;
+            if (parseWindow > 0 && unreadBytes > parseWindow) {
+                if (!await state.reader.skipTo(state.reader.size - parseWindow, isCancelled)) {
+                    return;
+                }
+                logWarning(`Skipped ${formatFileSize(unreadBytes - parseWindow)} of ${logFilePath}, ` +
+                    `only the last ${config.get('parseWindowMB')} MB are parsed (watchbuildlog.parseWindowMB)`);
+            }
+
+            const startLine = state.reader.lineNumber;
+            const startTime = Date.now();
+
+            const onLine = (line, lineNumber) => {
+                // Leading whitespace is kept since multi-line patterns often rely on indentation
+                line = this.stripAnsiSequences(line).trimEnd();
+                if (state.markers.isStart(line)) {
+                    this.startBuildSession(state, true);
+                }
+                this.trackBuildStep(state, line, lineNumber);
+                this.parseLine(state, logFilePath, line, lineNumber);
+                if (state.markers.isEnd(line)) {
+                    state.sessionReported = true;
+                }
+            };
+            const completed = await state.reader.readLines(onLine, isCancelled);
+            if (!completed) {
+                logDebug(`Stopped parsing ${logFilePath} at line ${state.reader.lineNumber} for a newer change`);
+                return;
+            }
+            if (flushPartialLine) {
+                state.reader.flushPartialLine(onLine);
+            }
+            if (!this.isShownLogState(state, logFilePath)) {
+                logDebug(`Parsed ${logFilePath} up to line ${state.reader.lineNumber} without publishing, its problems are no longer shown`);
+                return;
+            }
+
+            this.publishDiagnostics(state);
+            this.schedulePartialLine(state, logFilePath);
+
+            log(`Parsed lines ${startLine} to ${state.reader.lineNumber} of ${logFilePath} in ${Date.now() - startTime} ms, ` +
+                `${state.problemCount} problem(s) in the current build`);
+            logDebug('Problems per pattern in the current build:',
+                state.matcher.getMatchCounts().map(({ label, count }) => `${label}: ${count}`).join(', '));
         } catch (error) {
-            // Silently ignore errors for invalid paths
+            logError(`Error parsing log file ${logFilePath}:`, error);
+            vscode.window.showErrorMessage(`Failed to parse log file: ${error}`);
+        } finally {
+            this.parseCount--;
+            this.parsing = this.parseCount > 0;
+            this.changeEmitter.fire();
         }
-        
-        return matches;
     }
 
-    searchPath(parts, index, currentPath, matches) {
-        if (index >= parts.length) {
-            if (fs.existsSync(currentPath) && fs.statSync(currentPath).isFile()) {
-                matches.push(currentPath);
-            }
+    createLogState(logFilePath, folder) {
+        const state = {
+            folder,
+            reader: new TailReader(logFilePath, this.getLogEncoding(logFilePath, folder)),
+            // Parses of this log run one after another
+            parseTask: Promise.resolve(),
+            queuedParse: null,
+            currentParse: null,
+            partialLineTimer: null,
+            matcher: null,
+            diagnosticsMap: new Map(),
+            previousError: null,
+            // Problems found in the current build, and the limits on them already reported
+            problemCount: 0,
+            maxProblems: 0,
+            maxProblemsPerFile: 0,
+            reportedLimits: new Set(),
+            // Shown in the Build Log view, and names the log's own collection and source
+            // when showing all logs
+            name: this.getLogName(logFilePath, folder),
+            source: 'Build Log',
+            collection: null,
+            errorCount: 0,
+            warningCount: 0,
+            markers: new BuildSessionMarkers(this.getConfiguration(folder).get('buildSessionMarkers') || {}),
+            // Whether the current build produced a problem or finished. Until it does, the
+            // previous build's problems are shown, marked as stale.
+            sessionReported: false,
+            staleDiagnosticsMap: null,
+            // Problems grouped by the failed build step that reported them, for the Build Log view
+            steps: [],
+            currentStep: null,
+            staleSteps: null,
+            publishedSteps: []
+        };
+
+        // When showing all logs, each one gets its own collection so clearing or reparsing
+        // one log leaves the others alone. The source tells them apart in the Problems panel.
+        if (this.diagnosticsScope === 'allLogs') {
+            state.source = `Build Log (${state.name})`;
+            state.collection = vscode.languages.createDiagnosticCollection(`buildlog-${state.name}`);
+        }
+
+        return state;
+    }
+
+    // Starts collecting problems for a new build. When keepPrevious is set and the current
+    // build reported anything, its problems become the stale results shown in the meantime.
+    startBuildSession(state, keepPrevious) {
+        if (!keepPrevious) {
+            state.staleDiagnosticsMap = null;
+            state.staleSteps = null;
+        } else if (state.sessionReported) {
+            const staleDiagnostics = new Map();
+            state.staleDiagnosticsMap = this.markStale(state.diagnosticsMap, staleDiagnostics);
+            state.staleSteps = state.steps.map(step => ({
+                ...step,
+                problems: step.problems.map(problem => ({ ...problem, diagnostic: staleDiagnostics.get(problem.diagnostic) }))
+            }));
+        }
+
+        state.matcher = new ProblemMatcher(state.problemPatterns);
+        state.diagnosticsMap = new Map();
+        state.previousError = null;
+        state.problemCount = 0;
+        state.reportedLimits.clear();
+        state.sessionReported = false;
+        state.steps = [];
+        state.currentStep = null;
+    }
+
+    // Returns copies of the diagnostics marked as stale. staleDiagnostics is filled with the
+    // copy of each diagnostic.
+    markStale(diagnosticsMap, staleDiagnostics = new Map()) {
+        const staleMap = new Map();
+        diagnosticsMap.forEach((diagnostics, filePath) => {
+            staleMap.set(filePath, diagnostics.map(diagnostic => {
+                const stale = new vscode.Diagnostic(diagnostic.range, diagnostic.message, diagnostic.severity);
+                stale.source = `${diagnostic.source} (stale)`;
+                stale.code = diagnostic.code;
+                stale.relatedInformation = diagnostic.relatedInformation;
+                this.diagnosticOrigins.set(stale, this.diagnosticOrigins.get(diagnostic));
+                staleDiagnostics.set(diagnostic, stale);
+                return stale;
+            }));
+        });
+        return staleMap;
+    }
+
+    // Problems belong to the failed step they follow until the next step starts. Problems
+    // outside a failed step are collected in a step without a name.
+    trackBuildStep(state, line, lineNumber) {
+        const stepName = state.markers.matchFailedStep(line);
+        if (stepName !== null) {
+            state.currentStep = { name: stepName, lineNumber, problems: [] };
+            state.steps.push(state.currentStep);
+        } else if (state.markers.isStep(line)) {
+            state.currentStep = null;
+        }
+    }
+
+    addToBuildStep(state, filePath, diagnostic) {
+        let step = state.currentStep || state.steps.find(step => step.name === null);
+        if (!step) {
+            step = { name: null, lineNumber: null, problems: [] };
+            state.steps.push(step);
+        }
+        step.problems.push({ filePath, diagnostic });
+    }
+
+    deleteLogState(filePath) {
+        const state = this.logStates.get(filePath);
+        if (state) {
+            this.cancelParse(state);
+            clearTimeout(state.partialLineTimer);
+        }
+        state?.collection?.dispose();
+        this.logStates.delete(filePath);
+    }
+
+    // Names a log after its build configuration, which is the folder it is written to,
+    // e.g. "Debug_x64" for out/Debug_x64/siso_output. In a multi-root workspace the name
+    // starts with the workspace folder's, e.g. "app/Debug_x64". A log whose name is taken
+    // by another one is named after its path instead, which is unique.
+    getLogName(logFilePath, folder) {
+        let name = path.basename(path.dirname(logFilePath)) || path.basename(logFilePath);
+        if (folder && (vscode.workspace.workspaceFolders || []).length > 1) {
+            name = `${folder.name}/${name}`;
+        }
+
+        const takenNames = new Set(Array.from(this.logStates)
+            .filter(([filePath]) => filePath !== logFilePath)
+            .map(([, state]) => state.name));
+        if (!takenNames.has(name)) {
+            return name;
+        }
+        const relativePath = folder ? path.relative(folder.uri.fsPath, logFilePath) : '';
+        return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+            ? `${folder.name}/${relativePath.split(path.sep).join('/')}`
+            : logFilePath;
+    }
+
+    parseLine(state, logFilePath, line, lineNumber) {
+        const errorInfo = state.matcher.parseErrorLine(line);
+        if (!errorInfo) {
             return;
         }
 
-        const part = parts[index];
-        
-        if (part === '') {
-            // Handle leading separator or drive on Windows
-            if (index === 0) {
-                this.searchPath(parts, index + 1, path.sep, matches);
-            }
+        const filePath = this.resolveFilePath(errorInfo, logFilePath, state.folder);
+        const severityName = this.getSeverityRules(state.folder).resolve(errorInfo, filePath);
+        const problem = { severity: severityName, filePath, code: errorInfo.code, message: errorInfo.message };
+        logTrace(`Line ${lineNumber + 1} of ${logFilePath} matched ${severityName} in ${filePath}: ${errorInfo.message}`);
+        if (severityName !== 'note' && (!this.getDiagnosticFilter(state.folder).isShown(problem) || !this.isWithinProblemLimits(state, logFilePath, filePath))) {
+            // Notes that follow a hidden problem belong to it, so they are hidden as well
+            state.previousError = null;
             return;
         }
 
-        if (part.includes('*')) {
-            // Handle wildcard
-            const basePath = currentPath || (index === 0 ? '' : path.sep);
-            if (!fs.existsSync(basePath) || !fs.statSync(basePath).isDirectory()) {
-                return;
-            }
+        if (!state.diagnosticsMap.has(filePath)) {
+            state.diagnosticsMap.set(filePath, []);
+        }
 
-            const regex = new RegExp('^' + part.replace(/\*/g, '.*') + '$');
-            try {
-                const entries = fs.readdirSync(basePath);
-                entries.forEach(entry => {
-                    if (regex.test(entry)) {
-                        const fullPath = path.join(basePath, entry);
-                        this.searchPath(parts, index + 1, fullPath, matches);
-                    }
-                });
-            } catch (error) {
-                // Ignore permission errors
+        const range = new vscode.Range(
+            (errorInfo.line ? errorInfo.line - 1 : lineNumber),
+            (errorInfo.column ? errorInfo.column - 1 : 0),
+            (errorInfo.line ? errorInfo.line - 1 : lineNumber),
+            (errorInfo.column ? errorInfo.column - 1 : line.length)
+        );
+
+        const severity = this.mapSeverity(severityName);
+        if (severity === 'note') {
+            if (state.previousError) {
+                if (!state.previousError.relatedInformation) {
+                    state.previousError.relatedInformation = [];
+                }
+                state.previousError.relatedInformation.push(
+                    new vscode.DiagnosticRelatedInformation(
+                        new vscode.Location(vscode.Uri.file(filePath), range),
+                        errorInfo.message
+                    )
+                );
             }
         } else {
-            // Exact match
-            const nextPath = currentPath ? path.join(currentPath, part) : part;
-            this.searchPath(parts, index + 1, nextPath, matches);
+            const diagnostic = new vscode.Diagnostic(range, errorInfo.message, severity);
+            state.previousError = diagnostic;
+
+            diagnostic.source = state.source;
+            if (errorInfo.code && errorInfo.codeUrl) {
+                // Makes the code a link to its documentation in the Problems panel
+                diagnostic.code = { value: errorInfo.code, target: vscode.Uri.parse(errorInfo.codeUrl) };
+            } else if (errorInfo.code) {
+                diagnostic.code = errorInfo.code;
+            }
+
+            // Link back to the log lines the problem was matched on, which span several
+            // lines for multi-line patterns
+            const firstLine = lineNumber - Math.max(state.matcher.lastProblemLineCount - 1, 0);
+            // The problem is kept so it can be suppressed from a code action
+            const origin = { logFilePath, range: new vscode.Range(firstLine, 0, lineNumber, line.length), folder: state.folder, problem };
+            diagnostic.relatedInformation = [
+                new vscode.DiagnosticRelatedInformation(
+                    new vscode.Location(vscode.Uri.file(logFilePath), origin.range),
+                    firstLine === lineNumber ? `Build log line ${lineNumber + 1}` : `Build log lines ${firstLine + 1}-${lineNumber + 1}`
+                )
+            ];
+            this.diagnosticOrigins.set(diagnostic, origin);
+
+            state.diagnosticsMap.get(filePath).push(diagnostic);
+            state.problemCount++;
+            this.addToBuildStep(state, filePath, diagnostic);
+            state.sessionReported = true;
         }
     }
 
-    stripAnsiSequences(input) {
-        // Ansi escape sequences look like:
-        // \x1B[31m for red text
-        // \x1B[0m to reset
-        // \x1B[K to clear line
-        // Or generally like \x1B[<codes>m or \x1B[<codes>K
-        return input.replace(/\x1B\[[0-9;]*[mK]/g, '');
+    // Tells whether another problem in filePath fits within the limits of the
+    // watchbuildlog.maxProblems and maxProblemsPerFile settings. Each limit is reported once
+    // per build when it is reached.
+    isWithinProblemLimits(state, logFilePath, filePath) {
+        if (state.maxProblems > 0 && state.problemCount >= state.maxProblems) {
+            this.reportLimit(state, 'maxProblems',
+                `Reached the limit of ${state.maxProblems} problems in ${logFilePath}, further problems are not shown (watchbuildlog.maxProblems)`);
+            return false;
+        }
+        if (state.maxProblemsPerFile > 0 && (state.diagnosticsMap.get(filePath)?.length || 0) >= state.maxProblemsPerFile) {
+            this.reportLimit(state, filePath,
+                `Reached the limit of ${state.maxProblemsPerFile} problems in ${filePath}, further problems in it are not shown (watchbuildlog.maxProblemsPerFile)`);
+            return false;
+        }
+        return true;
     }
 
-    parseLogFile(logFilePath) {
+    reportLimit(state, limit, message) {
+        if (!state.reportedLimits.has(limit)) {
+            state.reportedLimits.add(limit);
+            logWarning(message);
+        }
+    }
+
+    getPathMapper(folder) {
+        if (!this.pathMappers.has(folder)) {
+            const mappings = this.getConfiguration(folder).get('pathMappings') || [];
+            this.pathMappers.set(folder, new PathMapper(mappings, { workspaceFolder: folder?.uri.fsPath }));
+        }
+        return this.pathMappers.get(folder);
+    }
+
+    getPathTranslator(folder) {
+        if (!this.pathTranslators.has(folder)) {
+            const config = this.getConfiguration(folder);
+            this.pathTranslators.set(folder, new PathTranslator(config.get('pathTranslation'), config.get('pathTranslationRoots')));
+        }
+        return this.pathTranslators.get(folder);
+    }
+
+    // Logs are recreated when the settings change, so the encoding isn't cached
+    getLogEncoding(logFilePath, folder) {
+        return getConfiguredEncoding(this.getConfiguration(folder).get('encoding'), logFilePath, folder?.uri.fsPath || '');
+    }
+
+    getSeverityRules(folder) {
+        if (!this.severityRules.has(folder)) {
+            const rules = this.getConfiguration(folder).get('severityRules');
+            this.severityRules.set(folder, new SeverityRules(rules, folder?.uri.fsPath));
+        }
+        return this.severityRules.get(folder);
+    }
+
+    getDiagnosticFilter(folder) {
+        if (!this.diagnosticFilters.has(folder)) {
+            const settings = this.getConfiguration(folder).get('diagnosticFilters');
+            const basePath = folder?.uri.fsPath;
+            let suppressedFingerprints = new Set();
+            if (basePath) {
+                try {
+                    suppressedFingerprints = parseBaseline(fs.readFileSync(path.join(basePath, BASELINE_FILE_NAME), 'utf8'));
+                } catch (error) {
+                    // Most folders have no baseline
+                }
+            }
+            this.diagnosticFilters.set(folder, new DiagnosticFilter(settings, basePath, suppressedFingerprints));
+        }
+        return this.diagnosticFilters.get(folder);
+    }
+
+    // Hides a problem for everyone sharing the workspace folder by adding its fingerprint to
+    // the folder's baseline file, which is then picked up like any other change to it.
+    async suppressDiagnostic(uri, diagnostic) {
+        const origin = this.getDiagnosticOrigin(uri, diagnostic);
+        if (!origin?.folder) {
+            return;
+        }
+
+        const basePath = origin.folder.uri.fsPath;
+        const baselinePath = path.join(basePath, BASELINE_FILE_NAME);
         try {
-            const content = fs.readFileSync(logFilePath, 'utf8');
-            // Handle CRLF and LF line endings. Remove any CR and then delimit by LF.
-            // This also works for mixed line endings.
-            const lines = this.stripAnsiSequences(content).replace('\r', '').split('\n');
-            const config = vscode.workspace.getConfiguration('watchbuildlog');
-            const problemPatterns = config.get('problemMatcherPatterns') || [];
-
-            log(`File ${logFilePath} has ${lines.length} lines. Parsing with ${problemPatterns.length} problem patterns`);
-            const diagnosticsMap = new Map();
-
-            this.diagnostics.clear();
-
-            let previousError = null;
-
-            lines.forEach((line, lineNumber) => {
-                line = line.replace('\n', '').trim();
-                const errorInfo = this.parseErrorLine(line, problemPatterns);
-                if (errorInfo) {
-                    let filePath = errorInfo.file;
-                    // If filePath is relative, resolve it against the folder containing the log file
-                    if (!path.isAbsolute(filePath)) {
-                        const logDir = path.dirname(logFilePath);
-                        filePath = path.resolve(logDir, filePath);
-                    }
-
-                    if (!diagnosticsMap.has(filePath)) {
-                        diagnosticsMap.set(filePath, []);
-                    }
-
-                    const severity = this.mapSeverity(errorInfo.severity);
-                    if (severity === 'note') {
-                        if (previousError) {
-                            if (!previousError.relatedInformation) {
-                                previousError.relatedInformation = [];
-                            }
-                            previousError.relatedInformation.push(
-                                new vscode.DiagnosticRelatedInformation(
-                                    new vscode.Location(vscode.Uri.file(filePath), new vscode.Range(
-                                        (errorInfo.line ? errorInfo.line - 1 : lineNumber),
-                                        (errorInfo.column ? errorInfo.column - 1 : 0),
-                                        (errorInfo.line ? errorInfo.line - 1 : lineNumber),
-                                        (errorInfo.column ? errorInfo.column - 1 : line.length)
-                                    )),
-                                    errorInfo.message
-                                )
-                            );
-                        }
-                    } else {
-                        const diagnostic = new vscode.Diagnostic(
-                            new vscode.Range(
-                                (errorInfo.line ? errorInfo.line - 1 : lineNumber),
-                                (errorInfo.column ? errorInfo.column - 1 : 0),
-                                (errorInfo.line ? errorInfo.line - 1 : lineNumber),
-                                (errorInfo.column ? errorInfo.column - 1 : line.length)
-                            ),
-                            errorInfo.message,
-                            severity
-                        );
-                        previousError = diagnostic;
-
-                        diagnostic.source = 'Build Log';
-                        if (errorInfo.code) {
-                            diagnostic.code = errorInfo.code;
-                        }
-
-                        diagnosticsMap.get(filePath).push(diagnostic);
-                    }
+            let baselineText = '';
+            try {
+                baselineText = await fs.promises.readFile(baselinePath, 'utf8');
+            } catch (error) {
+                // The first suppression creates the baseline
+            }
+            const entry = appendBaselineEntry(baselineText, origin.problem, basePath);
+            if (entry === '') {
+                return;
+            }
+            await fs.promises.appendFile(baselinePath, entry);
+        } catch (error) {
+            logError(`Failed to update ${baselinePath}:`, error);
+            vscode.window.showErrorMessage(`Failed to suppress the problem: ${error.message}`);
+            return;
+        }
+        log(`Suppressed "${origin.problem.message}" in ${baselinePath}`);
+    }
+
+    // Called when the baseline file of a workspace folder is created, changed or deleted,
+    // e.g. by pulling changes. Newly suppressed problems are removed from what was already
+    // parsed of the folder's logs. Problems that are no longer suppressed were dropped while
+    // parsing, so the logs are parsed again only when a suppression was lifted.
+    onBaselineChanged(folder) {
+        const previousFingerprints = this.diagnosticFilters.get(folder)?.suppressedFingerprints ?? new Set();
+        this.diagnosticFilters.delete(folder);
+        if (!this.watching) {
+            return;
+        }
+
+        const filter = this.getDiagnosticFilter(folder);
+        if (Array.from(previousFingerprints).some(fingerprint => !filter.suppressedFingerprints.has(fingerprint))) {
+            this.reparse();
+            return;
+        }
+
+        this.logStates.forEach((state, logFilePath) => {
+            if (state.folder !== folder) {
+                return;
+            }
+            // Waits for the parse in progress, which publishes once it is done
+            state.parseTask = state.parseTask.then(() => {
+                this.removeHiddenProblems(state, filter);
+                if (this.isShownLogState(state, logFilePath)) {
+                    this.publishDiagnostics(state);
+                    this.changeEmitter.fire();
                 }
             });
+        });
+    }
 
-            // Set new diagnostics
-            diagnosticsMap.forEach((diagnostics, filePath) => {
-                const uniqueDiagnostics = this.removeDuplicateDiagnostics(diagnostics);
-                this.diagnostics.set(vscode.Uri.file(filePath), uniqueDiagnostics);
+    // Removes the problems the filter hides from the results of a log, including the stale
+    // results of the previous build
+    removeHiddenProblems(state, filter) {
+        const isShown = diagnostic => filter.isShown(this.diagnosticOrigins.get(diagnostic).problem);
+        [state.diagnosticsMap, state.staleDiagnosticsMap].forEach(diagnosticsMap => {
+            diagnosticsMap?.forEach((diagnostics, filePath) => {
+                const shown = diagnostics.filter(isShown);
+                if (shown.length > 0) {
+                    diagnosticsMap.set(filePath, shown);
+                } else {
+                    diagnosticsMap.delete(filePath);
+                }
+            });
+        });
+        [state.steps, state.staleSteps].forEach(steps => {
+            steps?.forEach(step => {
+                step.problems = step.problems.filter(problem => isShown(problem.diagnostic));
             });
+        });
+    }
 
-            log(`Found ${Array.from(diagnosticsMap.values()).reduce((sum, diags) => sum + diags.length, 0)} total errors/warnings`);
-            log("");
+    resolveFilePath(errorInfo, logFilePath, folder) {
+        // Problems without a file are reported against the log itself
+        if (!errorInfo.file) {
+            return logFilePath;
+        }
 
-        } catch (error) {
-            log(`Error parsing log file ${logFilePath}:`, error);
-            vscode.window.showErrorMessage(`Failed to parse log file: ${error}`);
+        // Paths printed by another machine are mapped first, then paths printed by another
+        // operating system are translated, and the result is resolved like any other path
+        const mappedPath = this.getPathMapper(folder).map(errorInfo.file) ?? errorInfo.file;
+        const translatedPath = this.getPathTranslator(folder).translate(mappedPath) ?? mappedPath;
+        // Different spellings of the same file must share one diagnostics entry
+        const filePath = this.canonicalizer.canonicalize(this.resolvePrintedPath(translatedPath, errorInfo, logFilePath, folder));
+
+        if (translatedPath !== errorInfo.file && !this.reportedMissingPaths.has(filePath) && !fs.existsSync(filePath)) {
+            this.reportedMissingPaths.add(filePath);
+            logWarning(`Path ${errorInfo.file} was mapped to ${filePath}, which does not exist`);
+        }
+        return filePath;
+    }
+
+    resolvePrintedPath(filePath, errorInfo, logFilePath, folder) {
+        const logDir = path.dirname(logFilePath);
+
+        // If filePath is relative, resolve it against the folder containing the log file
+        // unless the problem matcher that reported it says otherwise.
+        if (!errorInfo.fileLocation) {
+            return path.isAbsolute(filePath) ? filePath : path.resolve(logDir, filePath);
+        }
+
+        // ${workspaceFolder} is the folder whose settings matched this log
+        const workspaceRoot = folder?.uri.fsPath || "";
+        const [kind, base] = Array.isArray(errorInfo.fileLocation) ? errorInfo.fileLocation : [errorInfo.fileLocation];
+        // Tasks run in the workspace folder by default, so that is also what ${cwd} means here
+        const baseDir = typeof base === 'string' ? base.replace(/\$\{(workspaceFolder|workspaceRoot|cwd)\}/g, workspaceRoot) : workspaceRoot;
+
+        if (path.isAbsolute(filePath)) {
+            return filePath;
+        }
+
+        switch (kind) {
+            case 'absolute':
+                return path.resolve(logDir, filePath);
+            case 'autoDetect': {
+                const candidate = path.resolve(baseDir, filePath);
+                return fs.existsSync(candidate) ? candidate : path.resolve(logDir, filePath);
+            }
+            default:
+                return path.resolve(baseDir, filePath);
         }
     }
 
+    publishDiagnostics(state) {
+        const collection = state.collection || this.diagnostics;
+        const showStale = !state.sessionReported && state.staleDiagnosticsMap;
+        const diagnosticsMap = showStale ? state.staleDiagnosticsMap : state.diagnosticsMap;
+        const published = new Set();
+        collection.clear();
+        state.errorCount = 0;
+        state.warningCount = 0;
+        diagnosticsMap.forEach((diagnostics, filePath) => {
+            const uniqueDiagnostics = this.removeDuplicateDiagnostics(diagnostics);
+            collection.set(vscode.Uri.file(filePath), uniqueDiagnostics);
+            uniqueDiagnostics.forEach(diagnostic => {
+                published.add(diagnostic);
+                if (diagnostic.severity === vscode.DiagnosticSeverity.Error) {
+                    state.errorCount++;
+                } else if (diagnostic.severity === vscode.DiagnosticSeverity.Warning) {
+                    state.warningCount++;
+                }
+            });
+        });
+
+        // The Build Log view shows the same problems as the Problems panel
+        state.publishedSteps = (showStale ? state.staleSteps : state.steps).map(step => ({
+            ...step,
+            problems: step.problems.filter(problem => published.has(problem.diagnostic))
+        })).filter(step => step.name !== null || step.problems.length > 0);
+    }
+
     removeDuplicateDiagnostics(diagnostics) {
         const uniqueDiagnostics = [];
         const seen = new Set();
@@ -368,62 +1270,11 @@ class BuildLogWatcher {
         return uniqueDiagnostics;
     }
 
-    parseErrorLine(line, problemPatterns) {
-        for (const pattern of problemPatterns) {
-            try {
-                const regex = new RegExp(pattern.regexp, 'i');
-                const match = line.match(regex);
-
-                if (match) {
-                    const errorInfo = {
-                        message: pattern.message ? match[pattern.message] : line.trim()
-                    };
-
-                    if (pattern.file && match[pattern.file]) {
-                        errorInfo.file = match[pattern.file].trim();
-                    }
-                    
-                    if (pattern.line && match[pattern.line]) {
-                        errorInfo.line = parseInt(match[pattern.line]);
-                    }
-                    
-                    if (pattern.column && match[pattern.column]) {
-                        errorInfo.column = parseInt(match[pattern.column]);
-                    }
-                    
-                    if (pattern.severity && match[pattern.severity]) {
-                        errorInfo.severity = match[pattern.severity].toLowerCase();
-                    }
-                    
-                    if (pattern.code && match[pattern.code]) {
-                        errorInfo.code = match[pattern.code];
-                    }
-
-                    return errorInfo;
-                }
-            } catch (error) {
-                // Invalid regex, skip this pattern
-                log(`Invalid regex pattern: ${pattern.regexp}`, error);
-            }
-        }
-
-        return null;
-    }
-
-    mapSeverity(severityString) {
-        if (!severityString) {
-            return vscode.DiagnosticSeverity.Error;
-        }
-
-        switch (severityString.toLowerCase()) {
-            case 'error':
-            case 'fatal':
-            case 'fatal error':
-                return vscode.DiagnosticSeverity.Error;
+    // Converts a severity name from SeverityRules
+    mapSeverity(severityName) {
+        switch (severityName) {
             case 'warning':
-            case 'warn':
                 return vscode.DiagnosticSeverity.Warning;
-            case 'info':
             case 'information':
                 return vscode.DiagnosticSeverity.Information;
             case 'hint':
@@ -438,5 +1289,6 @@ class BuildLogWatcher {
 
 module.exports = {
     activate,
-    deactivate
+    deactivate,
+    BuildLogWatcher
 };
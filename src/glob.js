@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+
+// How many directories deep a '**' segment may descend
+const MAX_DEPTH = 32;
+
+// Backslash is a path separator on Windows, so it can only escape characters elsewhere
+const supportsEscapes = path.sep === '/';
+const caseInsensitive = process.platform === 'win32' || process.platform === 'darwin';
+
+// Finds the index of the '}' closing the '{' at start, or -1.
+function findClosingBrace(pattern, start) {
+    let depth = 0;
+    for (let i = start; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && supportsEscapes) {
+            i++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+// Splits the body of a brace group on the commas that are not inside a nested group.
+function splitAlternatives(body) {
+    const alternatives = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\' && supportsEscapes && i + 1 < body.length) {
+            current += char + body[++i];
+            continue;
+        }
+        if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            alternatives.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    alternatives.push(current);
+    return alternatives;
+}
+
+// Expands '{a,b}' alternation into separate patterns, e.g. 'out/{Debug,Release}/x.log'
+// becomes 'out/Debug/x.log' and 'out/Release/x.log'. Groups without a comma are literal.
+function expandBraces(pattern) {
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && supportsEscapes) {
+            i++;
+            continue;
+        }
+        if (char !== '{') {
+            continue;
+        }
+
+        const end = findClosingBrace(pattern, i);
+        if (end === -1) {
+            break;
+        }
+
+        const alternatives = splitAlternatives(pattern.slice(i + 1, end));
+        if (alternatives.length > 1) {
+            const prefix = pattern.slice(0, i);
+            const suffix = pattern.slice(end + 1);
+            return alternatives.flatMap(alternative => expandBraces(prefix + alternative + suffix));
+        }
+    }
+    return [pattern];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Converts the glob syntax of a single path segment into the body of a regex. Supports
+// '*', '?', '[a-z]' and '[!a-z]' classes, and backslash escapes where they are available.
+function segmentToRegExpSource(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '\\' && supportsEscapes && i + 1 < segment.length) {
+            source += escapeRegExp(segment[++i]);
+        } else if (char === '*') {
+            source += '[^/\\\\]*';
+        } else if (char === '?') {
+            source += '[^/\\\\]';
+        } else if (char === '[') {
+            // The first character of a class may be a literal ']'
+            const end = segment.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let body = segment.slice(i + 1, end);
+            let negated = false;
+            if (body[0] === '!' || body[0] === '^') {
+                negated = true;
+                body = body.slice(1);
+            }
+            source += '[' + (negated ? '^' : '') + body.replace(/[\\\]^]/g, '\\$&') + ']';
+            i = end;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+
+function segmentToRegExp(segment) {
+    return new RegExp('^' + segmentToRegExpSource(segment) + '$', caseInsensitive ? 'i' : '');
+}
+
+function hasGlobSyntax(segment) {
+    return /[*?[]/.test(segment);
+}
+
+function unescapeSegment(segment) {
+    return supportsEscapes ? segment.replace(/\\(.)/g, '$1') : segment;
+}
+
+function splitSegments(pattern) {
+    return pattern.split(supportsEscapes ? '/' : /[\\/]/).filter(segment => segment !== '');
+}
+
+function statOrNull(filePath) {
+    try {
+        return fs.statSync(filePath);
+    } catch (error) {
+        return null;
+    }
+}
+
+function readDirectory(dirPath) {
+    try {
+        return fs.readdirSync(dirPath);
+    } catch (error) {
+        // Ignore permission errors
+        return [];
+    }
+}
+
+function realpathOrSelf(dirPath) {
+    try {
+        return fs.realpathSync(dirPath);
+    } catch (error) {
+        return dirPath;
+    }
+}
+
+function searchPath(dirPath, segments, index, depth, context) {
+    const segment = segments[index];
+    const isLast = index === segments.length - 1;
+
+    if (segment === '**') {
+        // Symlinks can form cycles, so never walk the same real directory twice for the
+        // same remaining pattern.
+        const key = `${index}:${realpathOrSelf(dirPath)}`;
+        if (context.visited.has(key)) {
+            return;
+        }
+        context.visited.add(key);
+
+        if (isLast) {
+            // A trailing '**' matches every file below this directory
+            searchPath(dirPath, [...segments, '*'], index + 1, depth, context);
+        } else {
+            // '**' can match zero directories...
+            searchPath(dirPath, segments, index + 1, depth, context);
+        }
+
+        // ...or any number of them, up to the depth limit
+        if (depth >= context.maxDepth) {
+            return;
+        }
+        readDirectory(dirPath).forEach(entry => {
+            const fullPath = path.join(dirPath, entry);
+            if (statOrNull(fullPath)?.isDirectory()) {
+                searchPath(fullPath, segments, index, depth + 1, context);
+            }
+        });
+        return;
+    }
+
+    const visit = (fullPath) => {
+        const stats = statOrNull(fullPath);
+        if (isLast) {
+            if (stats?.isFile()) {
+                context.matches.add(fullPath);
+            }
+        } else if (stats?.isDirectory()) {
+            searchPath(fullPath, segments, index + 1, depth, context);
+        }
+    };
+
+    if (!hasGlobSyntax(segment)) {
+        visit(path.join(dirPath, unescapeSegment(segment)));
+        return;
+    }
+
+    const regex = segmentToRegExp(segment);
+    readDirectory(dirPath).forEach(entry => {
+        if (regex.test(entry)) {
+            visit(path.join(dirPath, entry));
+        }
+    });
+}
+
+// Returns the files matching an absolute glob pattern. Supports '*' and '?' within a
+// segment, '**' for any number of directories, '[a-z]' character classes and '{a,b}'
+// alternation.
+function globMatch(pattern, options = {}) {
+    const matches = new Set();
+
+    expandBraces(pattern).forEach(expanded => {
+        const root = path.parse(expanded).root;
+        const segments = splitSegments(expanded.slice(root.length));
+        if (segments.length === 0) {
+            return;
+        }
+
+        // Each alternative is searched on its own, since the directories visited for
+        // one say nothing about the files another one matches
+        const context = {
+            matches,
+            visited: new Set(),
+            maxDepth: options.maxDepth ?? MAX_DEPTH
+        };
+        try {
+            searchPath(root || '.', segments, 0, 0, context);
+        } catch (error) {
+            // Silently ignore errors for invalid paths
+        }
+    });
+
+    return Array.from(matches);
+}
+
+// Compiles an absolute glob pattern into a regex over whole paths. The regex also matches
+// anything below a matching folder, so excluding a folder excludes its contents.
+function compileGlob(pattern) {
+    const alternatives = expandBraces(pattern).map(expanded => {
+        const root = path.parse(expanded).root;
+        const segments = splitSegments(expanded.slice(root.length));
+
+        let source = escapeRegExp(root).replace(/\\\/|\\\\/g, '[/\\\\]');
+        segments.forEach((segment, index) => {
+            const isLast = index === segments.length - 1;
+            if (segment === '**') {
+                source += isLast ? '.*' : '(?:.*[/\\\\])?';
+            } else {
+                source += segmentToRegExpSource(segment) + (isLast ? '' : '[/\\\\]');
+            }
+        });
+        return source;
+    });
+
+    return new RegExp('^(?:' + alternatives.join('|') + ')(?:[/\\\\].*)?$', caseInsensitive ? 'i' : '');
+}
+
+// Returns a predicate telling whether a path matches any of the patterns. Relative patterns
+// resolve against basePath, except patterns without a folder part such as '*.tmp' which
+// match a file or folder name at any depth.
+function createPathFilter(patterns, basePath) {
+    const regexes = patterns.map(pattern => {
+        if (splitSegments(pattern).length === 1 && !path.isAbsolute(pattern)) {
+            pattern = '**/' + pattern;
+        }
+        return compileGlob(path.isAbsolute(pattern) ? pattern : path.resolve(basePath, pattern));
+    });
+
+    return (filePath) => regexes.some(regex => regex.test(filePath));
+}
+
+// Splits an absolute glob pattern into the folder before the first wildcard and the
+// rest of the pattern, joined with '/', as needed for a file system watcher.
+function splitGlobBase(pattern) {
+    const root = path.parse(pattern).root;
+    const segments = splitSegments(pattern.slice(root.length));
+    let index = segments.findIndex(segment => /[*?[{]/.test(segment));
+    if (index === -1) {
+        index = segments.length - 1;
+    }
+
+    return {
+        base: path.join(root, ...segments.slice(0, index).map(unescapeSegment)),
+        pattern: segments.slice(index).join('/')
+    };
+}
+
+module.exports = {
+    MAX_DEPTH,
+    expandBraces,
+    segmentToRegExp,
+    globMatch,
+    compileGlob,
+    createPathFilter,
+    splitGlobBase
+};
@@ -0,0 +1,103 @@
+const util = require('util');
+
+// Writes to the "Watch Build Log" output channel once the extension has created it, and
+// to the console before that and in unit tests. Messages more detailed than the
+// watchbuildlog.logLevel setting are dropped.
+
+const LOG_LEVELS = ['off', 'error', 'warning', 'info', 'debug', 'trace'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+let outputChannel = null;
+let logLevel = DEFAULT_LOG_LEVEL;
+
+// Errors logged by logErrorOnce since the configuration last changed
+const loggedErrors = new Set();
+
+function setOutputChannel(channel) {
+    outputChannel = channel;
+}
+
+function setLogLevel(level) {
+    logLevel = LOG_LEVELS.includes(level) ? level : DEFAULT_LOG_LEVEL;
+}
+
+function isLogLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+}
+
+function formatArgument(arg) {
+    if (typeof arg === 'string') {
+        return arg;
+    }
+    if (arg instanceof Error) {
+        return arg.message;
+    }
+    return util.inspect(arg, { depth: 2, breakLength: Infinity });
+}
+
+function write(level, args) {
+    if (!isLogLevelEnabled(level)) {
+        return;
+    }
+
+    if (!outputChannel) {
+        console.log('[WatchBuildLog] ', ...args);
+        return;
+    }
+
+    const message = args.map(formatArgument).join(' ');
+    switch (level) {
+        case 'error':
+            outputChannel.error(message);
+            break;
+        case 'warning':
+            outputChannel.warn(message);
+            break;
+        case 'debug':
+            outputChannel.debug(message);
+            break;
+        case 'trace':
+            outputChannel.trace(message);
+            break;
+        default:
+            outputChannel.info(message);
+    }
+}
+
+const log = (...args) => write('info', args);
+const logError = (...args) => write('error', args);
+const logWarning = (...args) => write('warning', args);
+const logDebug = (...args) => write('debug', args);
+const logTrace = (...args) => write('trace', args);
+
+// Logs an error unless the same error was already logged. Settings are compiled again for
+// each workspace folder and whenever watching restarts, so an invalid setting would
+// otherwise be reported over and over.
+function logErrorOnce(...args) {
+    const message = args.map(formatArgument).join(' ');
+    if (!loggedErrors.has(message)) {
+        loggedErrors.add(message);
+        logError(...args);
+    }
+}
+
+// Lets logErrorOnce report every error again, for when the configuration changed and an
+// invalid setting may have been fixed and broken again
+function clearLoggedErrors() {
+    loggedErrors.clear();
+}
+
+module.exports = {
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    setOutputChannel,
+    setLogLevel,
+    isLogLevelEnabled,
+    log,
+    logError,
+    logWarning,
+    logDebug,
+    logTrace,
+    logErrorOnce,
+    clearLoggedErrors
+};
@@ -0,0 +1,57 @@
+const path = require('path');
+const { createPathFilter, globMatch } = require('./glob');
+const { logDebug } = require('./log');
+
+// Finds the build logs to watch from the watchbuildlog.logFilePathWildcards and
+// watchbuildlog.logFilePathExcludes settings of each workspace folder.
+
+// Returns the files matching any of the wildcards and none of the excludes. Relative
+// patterns resolve against workspaceRoot.
+function findMatchingFiles(wildcards, workspaceRoot, excludes = []) {
+    const matchedFiles = new Set();
+
+    wildcards = wildcards.filter(pattern => typeof pattern === 'string');
+
+    // Wildcards starting with '!' exclude files, just like logFilePathExcludes
+    const includePatterns = wildcards.filter(pattern => !pattern.startsWith('!'));
+    const excludePatterns = [
+        ...excludes,
+        ...wildcards.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))
+    ];
+    const isExcluded = createPathFilter(excludePatterns, workspaceRoot);
+
+    includePatterns.forEach(pattern => {
+        const resolvedPattern = path.isAbsolute(pattern) ? pattern : path.resolve(workspaceRoot, pattern);
+        const files = globMatch(resolvedPattern);
+        const included = files.filter(file => !isExcluded(file));
+        included.forEach(file => matchedFiles.add(file));
+        logDebug(`Wildcard ${resolvedPattern} matched ${included.length} file(s)` +
+            (included.length < files.length ? `, ${files.length - included.length} excluded` : ''));
+    });
+
+    return Array.from(matchedFiles);
+}
+
+// Discovery runs separately for each folder, resolving relative wildcards against that
+// folder's path. getSettings(folder) returns { root, wildcards, excludes } for a folder.
+// Returns a Map from each matched log to the folder it belongs to, in the order the logs
+// were found. A log matched from several folders belongs to the first one.
+function discoverLogs(folders, getSettings) {
+    const logFolders = new Map();
+    folders.forEach(folder => {
+        const { root, wildcards, excludes } = getSettings(folder);
+        const files = findMatchingFiles(wildcards, root, excludes);
+        logDebug(`Found ${files.length} build log(s) ${folder ? `for workspace folder ${folder.name}` : 'without a workspace folder'}`);
+        files.forEach(filePath => {
+            if (!logFolders.has(filePath)) {
+                logFolders.set(filePath, folder);
+            }
+        });
+    });
+    return logFolders;
+}
+
+module.exports = {
+    discoverLogs,
+    findMatchingFiles
+};
@@ -0,0 +1,72 @@
+const { ProblemMatcher } = require('./problemMatcher');
+
+// Finds the structure of a build log opened in an editor: the source locations its
+// problems point to and the blocks of output of each failed build step.
+
+function stripAnsiSequences(line) {
+    return line.replace(/\x1B\[[0-9;]*[mK]/g, '');
+}
+
+// Returns the source locations reported on the given lines by the configured problem
+// patterns. Each link covers the file name where it appears in the log. For multi-line
+// patterns the file may be on an earlier line of the block than the one completing it.
+function findLocationLinks(lines, problemPatterns) {
+    const matcher = new ProblemMatcher(problemPatterns);
+    const links = [];
+
+    lines.forEach((rawLine, lineNumber) => {
+        const errorInfo = matcher.parseErrorLine(stripAnsiSequences(rawLine).trimEnd());
+        if (!errorInfo || !errorInfo.file) {
+            return;
+        }
+
+        const firstLine = lineNumber - Math.max(matcher.lastProblemLineCount - 1, 0);
+        for (let line = firstLine; line <= lineNumber; line++) {
+            const start = lines[line].indexOf(errorInfo.file);
+            if (start !== -1) {
+                links.push({
+                    line,
+                    start,
+                    end: start + errorInfo.file.length,
+                    errorInfo
+                });
+                return;
+            }
+        }
+    });
+
+    return links;
+}
+
+// Returns the line ranges of the output of each failed build step, from the line marking
+// the step as failed up to the line before the next step, build start or build end.
+function findFailedStepRanges(lines, markers) {
+    const ranges = [];
+    let current = null;
+
+    const close = (endLine) => {
+        if (current && endLine > current.start) {
+            ranges.push({ start: current.start, end: endLine, name: current.name });
+        }
+        current = null;
+    };
+
+    lines.forEach((rawLine, lineNumber) => {
+        const line = stripAnsiSequences(rawLine).trimEnd();
+        const name = markers.matchFailedStep(line);
+        if (name !== null) {
+            close(lineNumber - 1);
+            current = { start: lineNumber, name };
+        } else if (markers.isStep(line) || markers.isStart(line) || markers.isEnd(line)) {
+            close(lineNumber - 1);
+        }
+    });
+    close(lines.length - 1);
+
+    return ranges;
+}
+
+module.exports = {
+    findLocationLinks,
+    findFailedStepRanges
+};
@@ -0,0 +1,116 @@
+const { createPathFilter } = require('./glob');
+const { logErrorOnce } = require('./log');
+
+// Works out how the bytes of a build log are decoded. MSBuild and other Windows tools can
+// write UTF-16 or the console's code page instead of UTF-8, which the
+// watchbuildlog.encoding setting and detection from the start of the file take care of.
+
+const AUTO = 'auto';
+const DEFAULT_ENCODING = 'utf-8';
+
+// How much of the start of a log is looked at to guess its encoding
+const SAMPLE_SIZE = 4096;
+
+// Byte order marks win over the setting because they can't be mistaken for text
+const BOMS = [
+    { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+    { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+    { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+function detectBom(bytes) {
+    const bom = BOMS.find(({ bytes: bomBytes }) => bomBytes.every((byte, index) => bytes[index] === byte));
+    return bom ? bom.encoding : null;
+}
+
+// UTF-16 logs without a byte order mark are recognized from the NUL bytes that make up the
+// high half of ASCII characters. Logs mostly in other scripts need the setting instead.
+function detectUtf16(bytes) {
+    const units = Math.floor(bytes.length / 2);
+    if (units === 0) {
+        return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let index = 0; index < units * 2; index += 2) {
+        evenZeros += bytes[index] === 0 ? 1 : 0;
+        oddZeros += bytes[index + 1] === 0 ? 1 : 0;
+    }
+    if (oddZeros >= units / 2 && evenZeros <= units / 10) {
+        return 'utf-16le';
+    }
+    if (evenZeros >= units / 2 && oddZeros <= units / 10) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+// Returns the TextDecoder label to decode a log with from the first bytes of the file and
+// the configured encoding, which is either a label or 'auto'.
+function detectEncoding(bytes, configuredEncoding = AUTO) {
+    const bomEncoding = detectBom(bytes);
+    if (bomEncoding) {
+        return bomEncoding;
+    }
+    if (configuredEncoding !== AUTO) {
+        return configuredEncoding;
+    }
+    return detectUtf16(bytes.subarray(0, SAMPLE_SIZE)) ?? DEFAULT_ENCODING;
+}
+
+// Returns the bytes a line ends with in an encoding. Every other encoding TextDecoder
+// supports, including Shift_JIS, GBK and Big5, only uses 0x0a for the line feed.
+function getNewlineBytes(encoding) {
+    if (encoding === 'utf-16le') {
+        return Buffer.from([0x0a, 0x00]);
+    }
+    if (encoding === 'utf-16be') {
+        return Buffer.from([0x00, 0x0a]);
+    }
+    return Buffer.from([0x0a]);
+}
+
+// Returns the canonical name of a TextDecoder label such as 'cp1252' or 'UTF-16', or null if
+// TextDecoder doesn't know it.
+function normalizeEncoding(label) {
+    try {
+        return new TextDecoder(label).encoding;
+    } catch {
+        return null;
+    }
+}
+
+function resolveLabel(label, description) {
+    if (label === AUTO) {
+        return AUTO;
+    }
+    const encoding = typeof label === 'string' ? normalizeEncoding(label.trim()) : null;
+    if (encoding === null) {
+        logErrorOnce(`Invalid encoding ${description} ${JSON.stringify(label)}: it must be 'auto' or an encoding label such as 'utf-16le' or 'windows-1252', detecting the encoding instead`);
+        return AUTO;
+    }
+    return encoding;
+}
+
+// Returns the encoding configured for a log, or 'auto'. The watchbuildlog.encoding setting is
+// either one encoding for all logs or an object from log globs, relative to basePath, to
+// encodings where the first glob matching the log wins.
+function getConfiguredEncoding(setting, logFilePath, basePath) {
+    if (setting === undefined || setting === null) {
+        return AUTO;
+    }
+    if (typeof setting !== 'object') {
+        return resolveLabel(setting, 'for all logs');
+    }
+    const entry = Object.entries(setting).find(([glob]) => createPathFilter([glob], basePath)(logFilePath));
+    return entry ? resolveLabel(entry[1], `for ${entry[0]}`) : AUTO;
+}
+
+module.exports = {
+    AUTO,
+    SAMPLE_SIZE,
+    detectEncoding,
+    getConfiguredEncoding,
+    getNewlineBytes
+};
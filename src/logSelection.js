@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Picks which matched build log to show problems from when only one is shown.
+
+const strategies = {
+    // The log written to last
+    newestModified: (a, b) => a.stats.mtimeMs - b.stats.mtimeMs,
+    // The log whose name sorts last, for logs named after the time the build started.
+    // Digits compare as numbers so 'build-10.log' is newer than 'build-9.log'.
+    newestName: (a, b) => path.basename(a.filePath).localeCompare(path.basename(b.filePath), undefined, { numeric: true }),
+    // The log created last. File systems without creation times report 0, so fall back
+    // to the time the file's metadata changed.
+    newestCreated: (a, b) => (a.stats.birthtimeMs || a.stats.ctimeMs) - (b.stats.birthtimeMs || b.stats.ctimeMs)
+};
+
+const DEFAULT_STRATEGY = 'newestModified';
+
+// Returns the newest of the given logs according to the strategy, or null if none of them
+// exist. Ties are broken by modification time, then by path, so the choice is stable.
+function selectNewestLog(filePaths, strategy = DEFAULT_STRATEGY) {
+    const compare = strategies[Object.prototype.hasOwnProperty.call(strategies, strategy) ? strategy : DEFAULT_STRATEGY];
+
+    let newest = null;
+    filePaths.forEach(filePath => {
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            // File might not exist, skip it
+            return;
+        }
+
+        const candidate = { filePath, stats };
+        if (!newest) {
+            newest = candidate;
+            return;
+        }
+        const order = compare(candidate, newest) ||
+            strategies.newestModified(candidate, newest) ||
+            candidate.filePath.localeCompare(newest.filePath);
+        if (order > 0) {
+            newest = candidate;
+        }
+    });
+
+    return newest ? newest.filePath : null;
+}
+
+// Formats a byte count for display, e.g. 1536 becomes '1.5 KB'.
+function formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    selectNewestLog,
+    formatFileSize
+};
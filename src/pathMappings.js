@@ -0,0 +1,73 @@
+const { logErrorOnce } = require('./log');
+
+// Rewrites paths printed in a build log that point somewhere else, such as the checkout of a
+// remote execution worker or a Docker container, to where the files are on this machine.
+
+const caseInsensitive = process.platform === 'win32';
+
+function substituteVariables(text, variables) {
+    return text.replace(/\$\{(workspaceFolder|workspaceRoot)\}/g, () => variables.workspaceFolder || '');
+}
+
+function compileRule(rule) {
+    if (!rule || typeof rule.to !== 'string') {
+        return null;
+    }
+
+    if (typeof rule.prefix === 'string' && rule.prefix !== '') {
+        const prefix = caseInsensitive ? rule.prefix.toLowerCase() : rule.prefix;
+        return (filePath, variables) => {
+            const candidate = caseInsensitive ? filePath.toLowerCase() : filePath;
+            return candidate.startsWith(prefix)
+                ? substituteVariables(rule.to, variables) + filePath.slice(prefix.length)
+                : null;
+        };
+    }
+
+    if (typeof rule.regex === 'string') {
+        const regex = new RegExp(rule.regex, caseInsensitive ? 'i' : '');
+        return (filePath, variables) => {
+            // Variables are substituted after the replacement, so '$' in a folder name is
+            // not mistaken for a group reference
+            return regex.test(filePath) ? substituteVariables(filePath.replace(regex, rule.to), variables) : null;
+        };
+    }
+
+    return null;
+}
+
+// Applies the first matching rule of the watchbuildlog.pathMappings setting. Each rule maps
+// either a `prefix` or a `regex` to its `to` replacement, which may use ${workspaceFolder}
+// and, for regexes, groups such as $1.
+class PathMapper {
+    constructor(rules = [], variables = {}) {
+        this.variables = variables;
+        this.rules = (Array.isArray(rules) ? rules : []).map(rule => {
+            try {
+                const compiled = compileRule(rule);
+                if (!compiled) {
+                    throw new Error('a rule needs a "prefix" or "regex" and a "to" replacement');
+                }
+                return compiled;
+            } catch (error) {
+                logErrorOnce(`Invalid path mapping ${JSON.stringify(rule)}:`, error);
+                return null;
+            }
+        }).filter(rule => rule !== null);
+    }
+
+    // Returns the mapped path, or null if no rule applies
+    map(filePath) {
+        for (const rule of this.rules) {
+            const mapped = rule(filePath, this.variables);
+            if (mapped !== null) {
+                return mapped;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    PathMapper
+};
@@ -0,0 +1,113 @@
+// Translates paths printed by a build on another operating system, e.g. a Windows build
+// edited from WSL or a Linux remote, into paths on this one. Drive letter paths map to WSL's
+// /mnt/<drive> mounts by default, and configured roots map any other prefix.
+
+const TRANSLATION_MODES = ['off', 'auto', 'windowsToPosix', 'posixToWindows'];
+
+const windowsAbsolutePath = /^(?:[A-Za-z]:[\\/]|[\\/]{2}[^\\/]+[\\/])/;
+const wslSharePath = /^[\\/]{2}(?:wsl\$|wsl\.localhost)[\\/][^\\/]+(?=[\\/]|$)/i;
+const wslMountPath = /^\/mnt\/([a-z])(?=\/|$)/i;
+
+function withTrailingSeparator(root, separator) {
+    return /[\\/]$/.test(root) ? root : root + separator;
+}
+
+// Returns the root that prefixes the path and the rest after it. The longest root wins so
+// more specific roots can override broader ones.
+function matchRoot(filePath, roots, normalize) {
+    const candidate = normalize(filePath);
+    let best = null;
+    Object.keys(roots).forEach(foreignRoot => {
+        const prefix = normalize(withTrailingSeparator(foreignRoot, '/'));
+        if ((candidate + '/').startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+            best = { prefix, localRoot: roots[foreignRoot] };
+        }
+    });
+    return best ? { localRoot: best.localRoot, rest: filePath.slice(Math.min(best.prefix.length, filePath.length)) } : null;
+}
+
+function joinLocal(localRoot, rest, separator) {
+    const parts = rest.split(/[\\/]/).filter(part => part !== '');
+    return parts.length > 0 ? withTrailingSeparator(localRoot, separator) + parts.join(separator) : localRoot;
+}
+
+// Windows paths compare case-insensitively and with either separator
+const normalizeWindows = filePath => filePath.replace(/\\/g, '/').toLowerCase();
+const normalizePosix = filePath => filePath;
+
+// Translates a Windows path printed in the log to a POSIX path, or returns null if it is not
+// a Windows path.
+function windowsToPosix(filePath, roots = {}) {
+    if (!windowsAbsolutePath.test(filePath)) {
+        // Relative paths only need their separators fixed
+        return filePath.includes('\\') ? filePath.replace(/\\/g, '/') : null;
+    }
+
+    const root = matchRoot(filePath, roots, normalizeWindows);
+    if (root) {
+        return joinLocal(root.localRoot, root.rest, '/');
+    }
+
+    // Files inside WSL opened from Windows, e.g. \\wsl.localhost\Ubuntu\home\me\src
+    const share = filePath.match(wslSharePath);
+    if (share) {
+        return joinLocal('/', filePath.slice(share[0].length), '/');
+    }
+
+    if (/^[A-Za-z]:/.test(filePath)) {
+        return joinLocal(`/mnt/${filePath[0].toLowerCase()}`, filePath.slice(2), '/');
+    }
+
+    // Other network shares have no default location
+    return null;
+}
+
+// Translates a POSIX path printed in the log to a Windows path, or returns null if there is
+// no translation for it.
+function posixToWindows(filePath, roots = {}) {
+    if (!filePath.startsWith('/') || filePath.startsWith('//')) {
+        return null;
+    }
+
+    const root = matchRoot(filePath, roots, normalizePosix);
+    if (root) {
+        return joinLocal(root.localRoot, root.rest, '\\');
+    }
+
+    const mount = filePath.match(wslMountPath);
+    if (mount) {
+        return joinLocal(`${mount[1].toUpperCase()}:\\`, filePath.slice(mount[0].length), '\\');
+    }
+
+    return null;
+}
+
+// Applies the watchbuildlog.pathTranslation setting. 'auto' translates paths from the other
+// kind of operating system than the one VS Code's extension host runs on.
+class PathTranslator {
+    constructor(mode = 'off', roots = {}, platform = process.platform) {
+        if (mode === 'auto') {
+            mode = platform === 'win32' ? 'posixToWindows' : 'windowsToPosix';
+        }
+        this.mode = TRANSLATION_MODES.includes(mode) ? mode : 'off';
+        this.roots = roots && typeof roots === 'object' && !Array.isArray(roots) ? roots : {};
+    }
+
+    // Returns the translated path, or null if the path needs no translation
+    translate(filePath) {
+        switch (this.mode) {
+            case 'windowsToPosix':
+                return windowsToPosix(filePath, this.roots);
+            case 'posixToWindows':
+                return posixToWindows(filePath, this.roots);
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = {
+    PathTranslator,
+    windowsToPosix,
+    posixToWindows
+};
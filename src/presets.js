@@ -0,0 +1,148 @@
+// Named problem matcher presets that can be referenced from problemMatcherPatterns as
+// "$name". Each preset expands to one or more entries, where an entry is either a single
+// pattern or an array of patterns matched against consecutive lines.
+const presets = {
+    'gcc': [
+        {
+            regexp: '^(.*?):(\\d+):(\\d*):?\\s+(?:fatal\\s+)?(warning|error|note):\\s+(.*)$',
+            file: 1,
+            line: 2,
+            column: 3,
+            severity: 4,
+            message: 5
+        }
+    ],
+    'clang': [
+        {
+            regexp: '^(.*?):(\\d+):(\\d+):\\s+(?:fatal\\s+)?(warning|error|note):\\s+(.*?)(?:\\s+\\[(?:-Werror,)?(-W[^\\],]+)[^\\]]*\\])?$',
+            file: 1,
+            line: 2,
+            column: 3,
+            severity: 4,
+            message: 5,
+            code: 6,
+            codeUrl: 'https://clang.llvm.org/docs/DiagnosticsReference.html#{slug}'
+        }
+    ],
+    'msCompile': [
+        {
+            regexp: '^\\s*(?:\\d+>)?(\\S.*?)\\((\\d+)(?:,(\\d+))?\\)\\s*:\\s+((?:fatal\\s+)?error|warning|info)\\s+(\\w{1,2}\\d+)\\s*:\\s*(.*)$',
+            file: 1,
+            line: 2,
+            column: 3,
+            severity: 4,
+            code: 5,
+            message: 6
+        }
+    ],
+    'tsc': [
+        {
+            regexp: '^([^\\s].*)[\\(:](\\d+)[,:](\\d+)(?:\\):\\s+|\\s+-\\s+)(error|warning|info)\\s+(TS\\d+)\\s*:\\s*(.*)$',
+            file: 1,
+            line: 2,
+            column: 3,
+            severity: 4,
+            code: 5,
+            message: 6
+        }
+    ],
+    'rustc': [
+        [
+            {
+                regexp: '^(warning|error)(?:\\[(E\\d+)\\])?:\\s+(.*)$',
+                severity: 1,
+                code: 2,
+                message: 3,
+                codeUrl: 'https://doc.rust-lang.org/error_codes/{code}.html'
+            },
+            {
+                regexp: '^\\s*-->\\s+(.*?):(\\d+):(\\d+)$',
+                file: 1,
+                line: 2,
+                column: 3
+            }
+        ]
+    ],
+    'go': [
+        {
+            regexp: '^([^:\\s].*\\.go):(\\d+)(?::(\\d+))?:\\s+(.*)$',
+            file: 1,
+            line: 2,
+            column: 3,
+            message: 4
+        }
+    ],
+    'javac': [
+        {
+            regexp: '^(.*\\.java):(\\d+):\\s+(error|warning):\\s+(.*)$',
+            file: 1,
+            line: 2,
+            severity: 3,
+            message: 4
+        }
+    ],
+    'lld': [
+        {
+            // Linker errors have no source location, so they are reported against the log
+            regexp: '^(?:.*[\\\\/])?(?:ld\\.lld|ld64\\.lld|lld-link|wasm-ld)(?:\\.exe)?:\\s+(error|warning):\\s+(.*)$',
+            severity: 1,
+            message: 2
+        }
+    ],
+    'dotnet': [
+        {
+            regexp: '^\\s*(?:\\d+>)?(\\S.*?)\\((\\d+),(\\d+)\\):\\s+(error|warning|info)\\s+([A-Z]+\\d+):\\s+(.*?)(?:\\s+\\[[^\\]]*\\])?$',
+            file: 1,
+            line: 2,
+            column: 3,
+            severity: 4,
+            code: 5,
+            message: 6
+        }
+    ],
+    'eslint-stylish': [
+        [
+            {
+                regexp: '^([^\\s].*)$',
+                file: 1
+            },
+            {
+                regexp: '^\\s+(\\d+):(\\d+)\\s+(error|warning|info)\\s+(.*?)(?:\\s\\s+(.*))?$',
+                line: 1,
+                column: 2,
+                severity: 3,
+                message: 4,
+                code: 5,
+                codeUrl: 'https://eslint.org/docs/latest/rules/{code}',
+                loop: true
+            }
+        ]
+    ]
+};
+
+// Replaces "$name" references with the entries of that preset. Unknown names are
+// reported through onUnknown and dropped.
+function expandPresets(problemPatterns, onUnknown = () => {}) {
+    const expanded = [];
+
+    problemPatterns.forEach(entry => {
+        if (typeof entry !== 'string') {
+            expanded.push(entry);
+            return;
+        }
+
+        const name = entry.replace(/^\$/, '');
+        if (Object.prototype.hasOwnProperty.call(presets, name)) {
+            expanded.push(...presets[name]);
+        } else {
+            onUnknown(entry);
+        }
+    });
+
+    return expanded;
+}
+
+module.exports = {
+    presets,
+    expandPresets
+};
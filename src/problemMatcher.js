@@ -0,0 +1,258 @@
+const { logErrorOnce, logWarning } = require('./log');
+const { expandPresets } = require('./presets');
+
+// Matching is case-insensitive unless a pattern sets its own flags
+const DEFAULT_FLAGS = 'i';
+
+// Returns a copy of the pattern with its regex compiled, or null if it is invalid. Invalid
+// patterns are reported with where they were configured. Global and sticky regexes keep
+// state between lines, so those flags are rejected.
+function compilePattern(pattern, location) {
+    try {
+        if (!pattern || typeof pattern.regexp !== 'string') {
+            throw new Error('a pattern needs a "regexp"');
+        }
+        const flags = pattern.flags ?? DEFAULT_FLAGS;
+        if (typeof flags !== 'string' || /[gy]/.test(flags)) {
+            throw new Error(`unsupported flags "${flags}"`);
+        }
+        return { ...pattern, regex: new RegExp(pattern.regexp, flags) };
+    } catch (error) {
+        logErrorOnce(`Invalid regex pattern in ${location}: ${pattern?.regexp}`, error);
+        return null;
+    }
+}
+
+// Copies the captured groups into data. Like VS Code's task problem matchers, values
+// captured from an earlier line of a sequence are not overwritten by later lines.
+function fillProblemData(data, pattern, match) {
+    if (data.message === undefined && pattern.message && match[pattern.message]) {
+        data.message = match[pattern.message];
+    }
+
+    if (data.file === undefined && pattern.file && match[pattern.file]) {
+        data.file = match[pattern.file].trim();
+    }
+
+    if (data.line === undefined && pattern.line && match[pattern.line]) {
+        data.line = parseInt(match[pattern.line]);
+    }
+
+    // A location group holds "line", "line,column" or "line,column,endLine,endColumn"
+    if (data.line === undefined && pattern.location && match[pattern.location]) {
+        const [line, column] = match[pattern.location].split(',').map(value => parseInt(value));
+        data.line = line;
+        if (!isNaN(column)) {
+            data.column = column;
+        }
+    }
+
+    if (data.column === undefined && pattern.column && match[pattern.column]) {
+        data.column = parseInt(match[pattern.column]);
+    }
+
+    if (data.severity === undefined && pattern.severity && match[pattern.severity]) {
+        data.severity = match[pattern.severity].toLowerCase();
+    }
+
+    if (data.code === undefined && pattern.code && match[pattern.code]) {
+        data.code = match[pattern.code];
+    }
+
+    return data;
+}
+
+// Expands the {code} and {slug} placeholders of a documentation URL template. The slug is
+// the form documentation anchors usually take, e.g. "wunused-variable" for
+// "-Wunused-variable" or "c4996" for "C4996".
+function expandCodeUrl(template, code) {
+    const slug = code.toLowerCase().replace(/^-+/, '').replace(/[^a-z0-9_-]+/g, '-');
+    return template
+        .replace(/\{code\}/g, encodeURIComponent(code))
+        .replace(/\{slug\}/g, encodeURIComponent(slug));
+}
+
+function completeProblem(data, line, sequence) {
+    if (data.message === undefined) {
+        data.message = line.trim();
+    }
+    const codeUrl = sequence.patterns.find(pattern => typeof pattern.codeUrl === 'string')?.codeUrl;
+    if (data.code !== undefined && codeUrl) {
+        data.codeUrl = expandCodeUrl(codeUrl, data.code);
+    }
+    // Patterns without a severity group may name the severity of their problems, which
+    // takes precedence over the default of the matcher they belong to
+    const defaultSeverity = sequence.patterns.find(pattern => typeof pattern.defaultSeverity === 'string')?.defaultSeverity;
+    if (data.severity === undefined && (defaultSeverity || sequence.severity)) {
+        data.severity = (defaultSeverity || sequence.severity).toLowerCase();
+    }
+    if (sequence.fileLocation) {
+        data.fileLocation = sequence.fileLocation;
+    }
+    return data;
+}
+
+// Names a configured entry in the output, e.g. "$gcc" or the regex of its first pattern
+function describeEntry(entry) {
+    if (typeof entry === 'string') {
+        return entry;
+    }
+    const patterns = Array.isArray(entry) ? entry : (Array.isArray(entry?.patterns) ? entry.patterns : [entry]);
+    const regexp = String(patterns[0]?.regexp);
+    return patterns.length > 1 ? `${regexp} (+${patterns.length - 1} more lines)` : regexp;
+}
+
+function createSequence(entry) {
+    if (Array.isArray(entry)) {
+        return { patterns: entry };
+    }
+    if (Array.isArray(entry?.patterns)) {
+        // A resolved task-style matcher, which may carry defaults for its problems
+        return { patterns: entry.patterns, severity: entry.severity, fileLocation: entry.fileLocation };
+    }
+    return { patterns: [entry] };
+}
+
+// Names a pattern of an entry in error messages, e.g. "watchbuildlog.problemMatcherPatterns[2][1]"
+// for the second pattern of a multi-line entry.
+function describePattern(source, sequence, index) {
+    return sequence.patterns.length > 1 ? `${source}[${index}]` : source;
+}
+
+// Problem matcher entries with their regexes compiled and validated. Compiling is done once
+// per configuration, and every ProblemMatcher created from it shares the regexes. sources
+// names where each entry was configured, for reporting invalid patterns, and defaults to the
+// entry's index. Entries with an invalid pattern are reported once and skipped.
+class CompiledProblemPatterns {
+    constructor(problemPatterns, sources = []) {
+        this.sequences = [];
+
+        problemPatterns.forEach((entry, entryIndex) => {
+            const source = sources[entryIndex] ?? `problem pattern ${entryIndex}`;
+            // Presets are expanded one entry at a time so their sequences keep the preset's name
+            const expanded = expandPresets([entry], name => {
+                logWarning(`Unknown problem matcher preset in ${source}: ${name}`);
+            });
+
+            expanded.map(createSequence).forEach(sequence => {
+                const patterns = sequence.patterns.map((pattern, index) => compilePattern(pattern, describePattern(source, sequence, index)));
+                // A sequence with an invalid pattern can never complete, so it is skipped
+                if (patterns.length > 0 && patterns.every(pattern => pattern !== null)) {
+                    this.sequences.push({ ...sequence, patterns, label: describeEntry(entry) });
+                }
+            });
+        });
+    }
+}
+
+// Matches log lines against the configured problem patterns. Each entry is either a
+// single pattern object, an array of patterns matched against consecutive lines where
+// the last pattern may set `loop: true` to report one problem for every line it matches,
+// the "$name" of a preset, or a `{ patterns, severity, fileLocation }` matcher resolved
+// from tasks.json or another extension. Sequences keep their progress between calls so a problem
+// can span separately read chunks.
+class ProblemMatcher {
+    // Takes CompiledProblemPatterns, or the entries to compile
+    constructor(problemPatterns) {
+        const compiled = problemPatterns instanceof CompiledProblemPatterns ? problemPatterns : new CompiledProblemPatterns(problemPatterns);
+
+        this.sequences = compiled.sequences.map(sequence => ({
+            ...sequence,
+            matchCount: 0,
+            step: 0,
+            data: null,
+            startLine: 0
+        }));
+
+        this.lineIndex = -1;
+        // How many lines the last reported problem spanned, ending with the current line
+        this.lastProblemLineCount = 0;
+    }
+
+    // Returns how many problems each configured entry reported, in configuration order.
+    // A preset expanding to several sequences is counted once.
+    getMatchCounts() {
+        const counts = new Map();
+        this.sequences.forEach(sequence => {
+            counts.set(sequence.label, (counts.get(sequence.label) || 0) + sequence.matchCount);
+        });
+        return Array.from(counts, ([label, count]) => ({ label, count }));
+    }
+
+    // Returns the problem reported on this line, or null. Every sequence sees every line so
+    // multi-line sequences stay in sync, but if several complete on the same line the first
+    // configured one wins.
+    parseErrorLine(line) {
+        let errorInfo = null;
+        this.lineIndex++;
+        this.lastProblemLineCount = 0;
+
+        for (const sequence of this.sequences) {
+            if (errorInfo && sequence.patterns.length === 1) {
+                continue;
+            }
+
+            const problem = this.advance(sequence, line);
+            if (problem && !errorInfo) {
+                errorInfo = problem;
+                sequence.matchCount++;
+                this.lastProblemLineCount = this.lineIndex - sequence.startLine + 1;
+            }
+        }
+
+        return errorInfo;
+    }
+
+    advance(sequence, line) {
+        if (sequence.step > 0) {
+            const lastStep = sequence.patterns.length - 1;
+            const pattern = sequence.patterns[sequence.step];
+            const match = line.match(pattern.regex);
+
+            if (match) {
+                if (pattern.loop && sequence.step === lastStep) {
+                    // Stay on the loop pattern, each match reports its own problem
+                    return completeProblem(fillProblemData({ ...sequence.data }, pattern, match), line, sequence);
+                }
+
+                fillProblemData(sequence.data, pattern, match);
+                if (sequence.step < lastStep) {
+                    sequence.step++;
+                    return null;
+                }
+
+                const problem = completeProblem(sequence.data, line, sequence);
+                this.reset(sequence);
+                return problem;
+            }
+
+            // The sequence is broken, so this line may be the start of a new one
+            this.reset(sequence);
+        }
+
+        const match = line.match(sequence.patterns[0].regex);
+        if (!match) {
+            return null;
+        }
+
+        const data = fillProblemData({}, sequence.patterns[0], match);
+        sequence.startLine = this.lineIndex;
+        if (sequence.patterns.length === 1) {
+            return completeProblem(data, line, sequence);
+        }
+
+        sequence.step = 1;
+        sequence.data = data;
+        return null;
+    }
+
+    reset(sequence) {
+        sequence.step = 0;
+        sequence.data = null;
+    }
+}
+
+module.exports = {
+    CompiledProblemPatterns,
+    ProblemMatcher
+};
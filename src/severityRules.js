@@ -0,0 +1,124 @@
+const { createPathFilter } = require('./glob');
+const { logErrorOnce } = require('./log');
+
+// Decides the severity of each problem from the watchbuildlog.severityRules setting, which
+// renames the words compilers print as severities and overrides the severity of categories
+// of problems, e.g. making warnings in third-party code hints.
+
+const SEVERITIES = ['error', 'warning', 'information', 'hint'];
+
+// Notes are not diagnostics of their own, they are attached to the previous problem
+const BUILTIN_ALIASES = {
+    'error': 'error',
+    'fatal': 'error',
+    'fatal error': 'error',
+    'warning': 'warning',
+    'warn': 'warning',
+    'info': 'information',
+    'information': 'information',
+    'remark': 'information',
+    'hint': 'hint',
+    'note': 'note'
+};
+
+function reportInvalidRule(description, rule, error) {
+    logErrorOnce(`Invalid severity rule ${description} ${JSON.stringify(rule)}:`, error);
+}
+
+// Matching ignores case and runs of whitespace, so "Fatal  Error" is "fatal error"
+function normalizeWord(word) {
+    return word.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Compiles the conditions of a rule into a predicate over problems of the form
+// { severity, filePath, code, message }. The predicate is true when the problem matches the
+// rule's `severity`, its `file` glob(s) and its `code` and `message` regexes, ignoring any of
+// them the rule leaves out. Throws if a condition is invalid.
+function compileConditions(rule, basePath) {
+    const conditions = [];
+    if (rule.severity !== undefined) {
+        const severities = toList(rule.severity);
+        if (!severities.every(severity => SEVERITIES.includes(severity))) {
+            throw new Error(`"severity" must be one or more of ${SEVERITIES.join(', ')}`);
+        }
+        conditions.push(problem => severities.includes(problem.severity));
+    }
+    if (rule.file !== undefined) {
+        const matchesFile = createPathFilter(toList(rule.file), basePath);
+        conditions.push(problem => matchesFile(problem.filePath));
+    }
+    if (rule.code !== undefined) {
+        const regex = new RegExp(rule.code, 'i');
+        conditions.push(problem => problem.code !== undefined && regex.test(problem.code));
+    }
+    if (rule.message !== undefined) {
+        const regex = new RegExp(rule.message, 'i');
+        conditions.push(problem => regex.test(problem.message));
+    }
+
+    return (problem) => conditions.every(condition => condition(problem));
+}
+
+function compileOverride(rule, basePath) {
+    if (!rule || !SEVERITIES.includes(rule.to)) {
+        throw new Error(`"to" must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return { matches: compileConditions(rule, basePath), to: rule.to };
+}
+
+// Resolves problem severities in two steps. The severity word captured by a problem pattern is
+// looked up in the built-in and configured `aliases`, where unknown words are errors. Then the
+// first of the `overrides` whose `file` glob, `code` and `message` regexes and `severity` all
+// match the problem replaces the severity with its `to` severity. Relative globs resolve
+// against basePath.
+class SeverityRules {
+    constructor(rules = {}, basePath = '') {
+        rules = rules && typeof rules === 'object' ? rules : {};
+
+        this.aliases = new Map(Object.entries(BUILTIN_ALIASES));
+        Object.entries(rules.aliases || {}).forEach(([word, severity]) => {
+            if (SEVERITIES.includes(severity) || severity === 'note') {
+                this.aliases.set(normalizeWord(word), severity);
+            } else {
+                reportInvalidRule('alias', { [word]: severity }, new Error(`the severity must be one of ${SEVERITIES.join(', ')} or note`));
+            }
+        });
+
+        this.overrides = (Array.isArray(rules.overrides) ? rules.overrides : []).map(rule => {
+            try {
+                return compileOverride(rule, basePath);
+            } catch (error) {
+                reportInvalidRule('override', rule, error);
+                return null;
+            }
+        }).filter(override => override !== null);
+    }
+
+    // Returns the severity name of a severity word from the log. Problems without one are errors.
+    lookup(word) {
+        return word ? this.aliases.get(normalizeWord(word)) ?? 'error' : 'error';
+    }
+
+    // Returns 'error', 'warning', 'information', 'hint' or 'note' for a problem reported by the
+    // problem matcher, whose file has been resolved to filePath.
+    resolve(errorInfo, filePath) {
+        const severity = this.lookup(errorInfo.severity);
+        if (severity === 'note') {
+            return severity;
+        }
+
+        const problem = { severity, filePath, code: errorInfo.code, message: errorInfo.message };
+        const override = this.overrides.find(override => override.matches(problem));
+        return override ? override.to : severity;
+    }
+}
+
+module.exports = {
+    SEVERITIES,
+    SeverityRules,
+    compileConditions
+};
@@ -0,0 +1,50 @@
+const vscode = require('vscode');
+
+// Shows whether the watcher is watching, idle or parsing, the problem counts from the last
+// parse and the name of the log they came from. Clicking it opens the build log menu.
+class BuildLogStatusBar {
+    constructor(watcher) {
+        this.watcher = watcher;
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+        this.item.name = 'Watch Build Log';
+        this.item.command = 'watchbuildlog.showMenu';
+        this.subscription = watcher.onDidChange(() => this.update());
+        this.update();
+        this.item.show();
+    }
+
+    update() {
+        const status = this.watcher.getStatus();
+        // Names the log the counts come from, as several logs may be watched
+        const logName = status.activeLogName ? `${status.activeLogName} ` : '';
+        const counts = `${logName}$(error) ${status.errors} $(warning) ${status.warnings}`;
+        const tooltip = [];
+
+        if (status.parsing) {
+            this.item.text = `$(sync~spin) ${counts}`;
+            tooltip.push('Parsing build log...');
+        } else if (status.watching) {
+            this.item.text = `$(eye) ${counts}`;
+            tooltip.push(`Watching ${status.logCount} build log file(s)`);
+        } else {
+            this.item.text = '$(eye-closed) Build Log';
+            tooltip.push('Not watching build logs');
+        }
+
+        if (status.activeLogFile) {
+            const pinned = status.pinned ? ' (pinned)' : '';
+            tooltip.push(`Active log: ${vscode.workspace.asRelativePath(status.activeLogFile)}${pinned}`);
+        }
+        tooltip.push('Click for build log commands');
+        this.item.tooltip = tooltip.join('\n');
+    }
+
+    dispose() {
+        this.subscription.dispose();
+        this.item.dispose();
+    }
+}
+
+module.exports = {
+    BuildLogStatusBar
+};
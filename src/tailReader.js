@@ -0,0 +1,244 @@
+const fs = require('fs');
+const { AUTO, SAMPLE_SIZE, detectEncoding, getNewlineBytes } = require('./logEncoding');
+const { logDebug } = require('./log');
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// How many of the bytes read last are remembered to recognize a log that was
+// truncated and written again past the offset between two reads
+const FINGERPRINT_SIZE = 256;
+
+// How long to process lines before letting other work run
+const YIELD_INTERVAL_MS = 20;
+
+// Reads a log file incrementally. The reader remembers how many bytes it has
+// consumed so each read only returns lines appended since the previous one.
+// The encoding is a TextDecoder label or 'auto' to detect it from the file.
+class TailReader {
+    constructor(filePath, encoding = AUTO) {
+        this.filePath = filePath;
+        this.configuredEncoding = encoding;
+        this.identity = null;
+        this.restart();
+    }
+
+    restart() {
+        this.offset = 0;
+        this.lineNumber = 0;
+        this.partialLine = '';
+        this.skipPartialLine = false;
+        this.lastYield = Date.now();
+        this.fingerprint = Buffer.alloc(0);
+        // Detected from the first bytes of the file before the first read, as a
+        // replaced file may be written in another encoding. The decoder is kept
+        // across reads so a multi-byte character split between two reads is
+        // decoded once all of it has arrived.
+        this.encoding = null;
+        this.newline = null;
+        this.decoder = null;
+    }
+
+    // Picks the encoding once the file has some content. The decoder drops the
+    // byte order mark at the start of the file.
+    async ensureDecoder(file) {
+        if (this.decoder !== null) {
+            return;
+        }
+        const sample = Buffer.alloc(SAMPLE_SIZE);
+        const { bytesRead } = await file.read(sample, 0, sample.length, 0);
+        this.encoding = detectEncoding(sample.subarray(0, bytesRead), this.configuredEncoding);
+        this.newline = getNewlineBytes(this.encoding);
+        this.decoder = new TextDecoder(this.encoding);
+        logDebug(`Decoding ${this.filePath} as ${this.encoding}`);
+    }
+
+    // Checks whether the file was truncated or replaced since the last read and
+    // if so starts over from the beginning. Returns true when the next read
+    // starts at the beginning of the file, meaning any previous results are stale.
+    refresh() {
+        const stats = fs.statSync(this.filePath);
+        const identity = `${stats.dev}:${stats.ino}:${stats.birthtimeMs}`;
+
+        const restarted = (this.identity !== null && this.identity !== identity) || stats.size < this.offset || !this.matchesFingerprint();
+        if (restarted) {
+            this.restart();
+        }
+        // Whether the file stayed the same since the previous refresh
+        this.idle = !restarted && stats.size === this.size;
+        this.identity = identity;
+        this.size = stats.size;
+
+        return this.offset === 0;
+    }
+
+    // Tells whether the bytes before the offset are still the ones read last. A
+    // build that truncates its log and writes more than was read before, between
+    // two reads, leaves the size and the file identity unchanged.
+    matchesFingerprint() {
+        if (this.fingerprint.length === 0) {
+            return true;
+        }
+        const bytes = Buffer.alloc(this.fingerprint.length);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            const bytesRead = fs.readSync(fd, bytes, 0, bytes.length, this.offset - bytes.length);
+            return bytesRead === bytes.length && bytes.equals(this.fingerprint);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Remembers the last bytes read, which end at the offset
+    updateFingerprint(chunk) {
+        this.fingerprint = chunk.length >= FINGERPRINT_SIZE
+            ? Buffer.from(chunk.subarray(chunk.length - FINGERPRINT_SIZE))
+            : Buffer.concat([this.fingerprint, chunk]).subarray(-FINGERPRINT_SIZE);
+    }
+
+    // Calls onLine(text, lineNumber) for every complete line appended since the
+    // last read. A trailing line without a newline is held back until the build
+    // finishes writing it. The file is streamed a chunk at a time and the event
+    // loop gets a turn regularly, so huge logs don't block other work. Resolves
+    // to false if isCancelled() returned true, in which case reading stopped at
+    // the end of a chunk and the next read continues from there.
+    async readLines(onLine, isCancelled = () => false) {
+        if (this.size === undefined) {
+            this.refresh();
+        }
+        if (this.size <= this.offset) {
+            return true;
+        }
+
+        const file = await fs.promises.open(this.filePath, 'r');
+        try {
+            await this.ensureDecoder(file);
+            const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, this.size - this.offset));
+            while (this.offset < this.size) {
+                if (isCancelled()) {
+                    return false;
+                }
+                const { bytesRead } = await file.read(buffer, 0, Math.min(buffer.length, this.size - this.offset), this.offset);
+                if (bytesRead === 0) {
+                    break;
+                }
+                this.offset += bytesRead;
+                this.updateFingerprint(buffer.subarray(0, bytesRead));
+                await this.consume(this.decoder.decode(buffer.subarray(0, bytesRead), { stream: true }), onLine);
+            }
+        } finally {
+            await file.close();
+        }
+        return true;
+    }
+
+    // Moves ahead to offset without returning the lines in between. They are still
+    // counted so later line numbers stay right, and the line the offset falls into
+    // is skipped as a whole. Resolves to false if cancelled, like readLines.
+    async skipTo(offset, isCancelled = () => false) {
+        if (offset <= this.offset) {
+            return true;
+        }
+
+        const file = await fs.promises.open(this.filePath, 'r');
+        try {
+            await this.ensureDecoder(file);
+            // Newlines are only looked for at the start of a code unit, so both ends
+            // are moved back to one. Bytes of a character the decoder was still
+            // waiting for are counted again, as they weren't part of a line yet.
+            const unitSize = this.newline.length;
+            offset -= offset % unitSize;
+            if (offset <= this.offset) {
+                return true;
+            }
+            const partialUnit = this.offset % unitSize;
+            this.offset -= partialUnit;
+            this.fingerprint = this.fingerprint.subarray(0, this.fingerprint.length - partialUnit);
+
+            const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, offset - this.offset));
+            let lastUnit = null;
+            while (this.offset < offset) {
+                if (isCancelled()) {
+                    return false;
+                }
+                const { bytesRead } = await file.read(buffer, 0, Math.min(buffer.length, offset - this.offset), this.offset);
+                if (bytesRead === 0) {
+                    break;
+                }
+                const chunk = buffer.subarray(0, bytesRead);
+                for (let index = chunk.indexOf(this.newline); index !== -1; index = chunk.indexOf(this.newline, index + 1)) {
+                    if (index % unitSize === 0) {
+                        this.lineNumber++;
+                    }
+                }
+                lastUnit = Buffer.from(chunk.subarray(Math.max(0, bytesRead - unitSize)));
+                this.offset += bytesRead;
+                this.updateFingerprint(chunk);
+            }
+
+            // A line that was held back ended within the skipped bytes, or still goes on
+            this.partialLine = '';
+            this.skipPartialLine = lastUnit !== null && !lastUnit.equals(this.newline);
+            this.decoder = new TextDecoder(this.encoding);
+        } finally {
+            await file.close();
+        }
+        return true;
+    }
+
+    // Returns the held back last line as a complete line when the file has not
+    // grown since the previous refresh, since a build that stopped may never end
+    // its last line. Should the build write more of that line after all, the
+    // rest is read as a line of its own. Returns whether a line was returned.
+    flushPartialLine(onLine) {
+        if (!this.idle) {
+            return false;
+        }
+        // Also ends a character the decoder is still waiting for the rest of
+        let line = this.partialLine + (this.decoder ? this.decoder.decode() : '');
+        if (line === '') {
+            return false;
+        }
+
+        this.partialLine = '';
+        if (this.skipPartialLine) {
+            // The rest of the line skipTo stopped in
+            this.lineNumber++;
+            this.skipPartialLine = false;
+            return false;
+        }
+        if (line.endsWith('\r')) {
+            line = line.slice(0, -1);
+        }
+        onLine(line, this.lineNumber++);
+        return true;
+    }
+
+    async consume(text, onLine) {
+        const lines = (this.partialLine + text).split('\n');
+        this.partialLine = lines.pop();
+
+        if (this.skipPartialLine && lines.length > 0) {
+            // The rest of the line skipTo stopped in
+            lines.shift();
+            this.lineNumber++;
+            this.skipPartialLine = false;
+        }
+
+        for (let line of lines) {
+            // Handle CRLF and LF line endings, including mixed ones.
+            if (line.endsWith('\r')) {
+                line = line.slice(0, -1);
+            }
+            onLine(line, this.lineNumber++);
+
+            if (Date.now() - this.lastYield >= YIELD_INTERVAL_MS) {
+                await new Promise(resolve => setImmediate(resolve));
+                this.lastYield = Date.now();
+            }
+        }
+    }
+}
+
+module.exports = {
+    TailReader
+};
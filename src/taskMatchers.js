@@ -0,0 +1,143 @@
+const { presets } = require('./presets');
+
+// Resolves problem matchers declared the way VS Code tasks declare them, either contributed
+// by extensions through `contributes.problemMatchers` or written inline on tasks in
+// tasks.json, into entries understood by ProblemMatcher.
+
+const MAX_BASE_DEPTH = 10;
+
+function collectContributions(contributes) {
+    const matchers = new Map();
+    const patterns = new Map();
+
+    contributes.forEach(contribution => {
+        (contribution.problemPatterns || []).forEach(pattern => {
+            if (pattern && pattern.name) {
+                patterns.set(pattern.name, pattern);
+            }
+        });
+        (contribution.problemMatchers || []).forEach(matcher => {
+            if (matcher && matcher.name) {
+                matchers.set(matcher.name, matcher);
+            }
+        });
+    });
+
+    return { matchers, patterns };
+}
+
+function collectTaskMatchers(tasks) {
+    const matchers = [];
+
+    tasks.forEach(task => {
+        const problemMatchers = Array.isArray(task.problemMatcher) ? task.problemMatcher : [task.problemMatcher];
+        problemMatchers.forEach(matcher => {
+            if (matcher && typeof matcher === 'object') {
+                matchers.push(matcher);
+            }
+        });
+    });
+
+    return matchers;
+}
+
+// VS Code's own matchers such as $gcc are not contributed by any extension, so
+// references to them fall back to the preset of the same name.
+function getPresetPattern(name) {
+    return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name][0] : null;
+}
+
+// A pattern is either inline, an array for multi-line matching, or the "$name" of a
+// contributed problem pattern.
+function resolvePattern(pattern, contributions) {
+    if (typeof pattern === 'string') {
+        const name = pattern.replace(/^\$/, '');
+        const named = contributions.patterns.get(name);
+        if (named) {
+            return resolvePattern(named.patterns || named, contributions);
+        }
+        const preset = getPresetPattern(name);
+        return preset ? resolvePattern(preset, contributions) : null;
+    }
+    if (Array.isArray(pattern)) {
+        return pattern.length > 0 ? pattern : null;
+    }
+    return pattern && pattern.regexp ? [pattern] : null;
+}
+
+// Flattens `base` inheritance, where a matcher extends a contributed matcher by name.
+function flattenMatcher(matcher, contributions, depth = 0) {
+    if (!matcher.base || depth >= MAX_BASE_DEPTH) {
+        return matcher;
+    }
+
+    const name = matcher.base.replace(/^\$/, '');
+    let base = contributions.matchers.get(name);
+    if (!base && getPresetPattern(name)) {
+        base = { pattern: getPresetPattern(name) };
+    }
+    if (!base) {
+        return matcher;
+    }
+
+    const overrides = { ...matcher };
+    delete overrides.base;
+    return { ...flattenMatcher(base, contributions, depth + 1), ...overrides };
+}
+
+function toEntry(matcher, contributions) {
+    const flattened = flattenMatcher(matcher, contributions);
+    const patterns = resolvePattern(flattened.pattern, contributions);
+    if (!patterns) {
+        return null;
+    }
+
+    return {
+        patterns,
+        severity: flattened.severity,
+        fileLocation: flattened.fileLocation
+    };
+}
+
+// Returns ProblemMatcher entries for the given references. "$name" refers to a matcher
+// contributed by an extension, falling back to the built-in presets. Any other name refers
+// to a matcher declared in tasks.json, identified by its `owner` or `name`. References that
+// cannot be resolved are reported through onUnknown and skipped.
+function resolveProblemMatchers(references, contributes, tasks, onUnknown = () => {}) {
+    const contributions = collectContributions(contributes);
+    const taskMatchers = collectTaskMatchers(tasks);
+    const entries = [];
+
+    references.forEach(reference => {
+        if (typeof reference !== 'string') {
+            onUnknown(reference);
+            return;
+        }
+
+        let matchers = [];
+        if (reference.startsWith('$')) {
+            const name = reference.slice(1);
+            if (contributions.matchers.has(name)) {
+                matchers = [contributions.matchers.get(name)];
+            } else if (Object.prototype.hasOwnProperty.call(presets, name)) {
+                entries.push(reference);
+                return;
+            }
+        } else {
+            matchers = taskMatchers.filter(matcher => matcher.owner === reference || matcher.name === reference);
+        }
+
+        const resolved = matchers.map(matcher => toEntry(matcher, contributions)).filter(entry => entry !== null);
+        if (resolved.length === 0) {
+            onUnknown(reference);
+            return;
+        }
+        entries.push(...resolved);
+    });
+
+    return entries;
+}
+
+module.exports = {
+    resolveProblemMatchers
+};
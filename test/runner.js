@@ -139,6 +139,24 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
     log('  npm run test-integration    Run integration tests only');
     log('  npm run test-edge-cases     Run edge case tests only');
     log('  npm run test-config         Run configuration tests only');
+    log('  npm run test-tail           Run incremental reading tests only');
+    log('  npm run test-matcher        Run problem matcher tests only');
+    log('  npm run test-presets        Run problem matcher preset tests only');
+    log('  npm run test-task-matchers  Run referenced problem matcher tests only');
+    log('  npm run test-build-session  Run build session marker tests only');
+    log('  npm run test-log-selection  Run build log selection tests only');
+    log('  npm run test-log            Run output channel logging tests only');
+    log('  npm run test-log-document   Run build log link and folding tests only');
+    log('  npm run test-path-mappings  Run path mapping tests only');
+    log('  npm run test-path-translation Run Windows and POSIX path translation tests only');
+    log('  npm run test-canonical-path Run path canonicalization tests only');
+    log('  npm run test-severity-rules Run severity alias and override tests only');
+    log('  npm run test-diagnostic-filters Run diagnostic filter and baseline tests only');
+    log('  npm run test-log-encoding   Run log encoding detection tests only');
+    log('  npm run test-log-discovery  Run per-folder build log discovery tests only');
+    log('  npm run test-watcher        Run build log watcher tests only');
+    log('  npm run test-status-bar     Run status bar tests only');
+    log('  npm run test-build-log-tree Run Build Log view tests only');
     log('  npm run test-watch          Run tests in watch mode');
     log('  npm run test-coverage       Run tests with coverage');
     process.exit(0);
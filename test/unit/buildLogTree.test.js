@@ -0,0 +1,221 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mockVscode, requireWithMockVscode, MockEventEmitter } = require('../utils/mockVscode.js');
+
+const { BuildLogTreeProvider } = requireWithMockVscode('../../src/buildLogTree.js');
+
+const { DiagnosticSeverity } = mockVscode;
+
+describe('Build Log Tree Tests', () => {
+    const logPath = '/work/app/out/Debug/siso_output';
+    let state;
+    let watcher;
+    let provider;
+
+    const problem = (filePath, line, severity, message = 'broken') => ({
+        filePath,
+        diagnostic: new mockVscode.Diagnostic(new mockVscode.Range(line, 4, line, 4), message, severity)
+    });
+
+    const labels = (elements) => elements.map(element => provider.getTreeItem(element).label);
+
+    beforeEach(() => {
+        state = {
+            name: 'Debug',
+            publishedSteps: [
+                {
+                    name: 'CXX obj/app/main.o',
+                    lineNumber: 10,
+                    problems: [
+                        problem('/work/app/main.cc', 2, DiagnosticSeverity.Error, 'no member named foo'),
+                        problem('/work/app/main.cc', 7, DiagnosticSeverity.Warning, 'unused variable'),
+                        problem('/work/app/main.cc', 8, DiagnosticSeverity.Warning, 'unused parameter')
+                    ]
+                },
+                {
+                    name: 'LINK app',
+                    lineNumber: 20,
+                    problems: []
+                },
+                {
+                    name: 'CXX obj/app/util.o',
+                    lineNumber: 30,
+                    problems: [problem('/work/app/util.cc', 0, DiagnosticSeverity.Warning, 'deprecated')]
+                },
+                {
+                    name: null,
+                    lineNumber: null,
+                    problems: [problem('/work/app/other.cc', 4, DiagnosticSeverity.Information, 'note'), problem('/work/app/other.cc', 5, DiagnosticSeverity.Hint, 'hint')]
+                }
+            ]
+        };
+        const changeEmitter = new MockEventEmitter();
+        watcher = {
+            watching: true,
+            getVisibleLogStates: () => [[logPath, state]],
+            onDidChange: changeEmitter.event,
+            changeEmitter
+        };
+        mockVscode.workspace.asRelativePath = (filePath) => filePath.replace('/work/app/', '');
+        provider = new BuildLogTreeProvider(watcher);
+    });
+
+    afterEach(() => {
+        provider.dispose();
+        mockVscode.window.showQuickPick = async () => undefined;
+    });
+
+    describe('getChildren', () => {
+        it('should list nothing while not watching, so the welcome content shows', () => {
+            watcher.watching = false;
+            assert.deepStrictEqual(provider.getChildren(), []);
+        });
+
+        it('should list the logs, their steps and the problems of each step', () => {
+            const [log] = provider.getChildren();
+            assert.strictEqual(provider.getTreeItem(log).label, 'Debug');
+
+            const steps = provider.getChildren(log);
+            assert.deepStrictEqual(labels(steps), ['CXX obj/app/main.o', 'LINK app', 'CXX obj/app/util.o', 'Other problems']);
+            assert.deepStrictEqual(labels(provider.getChildren(steps[0])), ['no member named foo', 'unused variable', 'unused parameter']);
+            assert.deepStrictEqual(provider.getChildren(provider.getChildren(steps[0])[0]), []);
+        });
+
+        it('should drop steps whose problems are all hidden, but keep steps without problems', async () => {
+            mockVscode.window.showQuickPick = async (items) => items.filter(item => item.label === 'Errors');
+            await provider.pickSeverityFilter();
+
+            const steps = provider.getChildren(provider.getChildren()[0]);
+            assert.deepStrictEqual(labels(steps), ['CXX obj/app/main.o', 'LINK app']);
+            assert.deepStrictEqual(labels(provider.getChildren(steps[0])), ['no member named foo']);
+        });
+    });
+
+    describe('severity filter', () => {
+        it('should not describe the filter while every severity is shown', () => {
+            assert.strictEqual(provider.getFilterDescription(), undefined);
+        });
+
+        it('should offer every severity with the shown ones picked', async () => {
+            let offered;
+            mockVscode.window.showQuickPick = async (items, options) => {
+                offered = items;
+                assert.strictEqual(options.canPickMany, true);
+                return items.filter(item => item.label !== 'Hints');
+            };
+            await provider.pickSeverityFilter();
+            assert.deepStrictEqual(offered.map(item => [item.label, item.picked]), [
+                ['Errors', true], ['Warnings', true], ['Information', true], ['Hints', true]
+            ]);
+
+            mockVscode.window.showQuickPick = async (items) => {
+                offered = items;
+                return undefined;
+            };
+            await provider.pickSeverityFilter();
+            assert.deepStrictEqual(offered.map(item => item.picked), [true, true, true, false]);
+        });
+
+        it('should describe the shown severities and refresh the tree', async () => {
+            let refreshes = 0;
+            provider.onDidChangeTreeData(() => refreshes++);
+
+            mockVscode.window.showQuickPick = async (items) => items.filter(item => item.label === 'Errors' || item.label === 'Warnings');
+            await provider.pickSeverityFilter();
+            assert.strictEqual(provider.getFilterDescription(), 'Errors, Warnings');
+
+            mockVscode.window.showQuickPick = async () => [];
+            await provider.pickSeverityFilter();
+            assert.strictEqual(provider.getFilterDescription(), 'Nothing shown');
+            assert.strictEqual(refreshes, 2);
+        });
+
+        it('should keep the filter when the pick is cancelled', async () => {
+            let refreshes = 0;
+            provider.onDidChangeTreeData(() => refreshes++);
+
+            await provider.pickSeverityFilter();
+
+            assert.strictEqual(provider.getFilterDescription(), undefined);
+            assert.strictEqual(refreshes, 0);
+        });
+    });
+
+    describe('counts', () => {
+        it('should count errors, warnings and other problems', () => {
+            const log = provider.getChildren()[0];
+            assert.strictEqual(provider.getTreeItem(log).description, '1 error, 3 warnings, 2 other');
+
+            const steps = provider.getChildren(log);
+            assert.strictEqual(provider.getTreeItem(steps[0]).description, '1 error, 2 warnings');
+            assert.strictEqual(provider.getTreeItem(steps[1]).description, '');
+            assert.strictEqual(provider.getTreeItem(steps[2]).description, '1 warning');
+            assert.strictEqual(provider.getTreeItem(steps[3]).description, '2 other');
+        });
+
+        it('should only count the problems shown', async () => {
+            mockVscode.window.showQuickPick = async (items) => items.filter(item => item.label === 'Warnings');
+            await provider.pickSeverityFilter();
+
+            const log = provider.getChildren()[0];
+            assert.strictEqual(provider.getTreeItem(log).description, '3 warnings');
+            assert.strictEqual(provider.getTreeItem(provider.getChildren(log)[0]).description, '2 warnings');
+        });
+
+        it('should tell when a log has no problems', () => {
+            state.publishedSteps = [];
+            assert.strictEqual(provider.getTreeItem(provider.getChildren()[0]).description, 'No problems');
+        });
+    });
+
+    describe('navigation', () => {
+        it('should open the log from its item', () => {
+            const item = provider.getTreeItem(provider.getChildren()[0]);
+            assert.strictEqual(item.command.command, 'vscode.open');
+            assert.strictEqual(item.command.arguments[0].fsPath, logPath);
+            assert.strictEqual(item.command.arguments[1].selection, undefined);
+            assert.strictEqual(item.tooltip, logPath);
+            assert.strictEqual(item.contextValue, 'buildLog');
+        });
+
+        it('should open the log at the line of a failed step', () => {
+            const steps = provider.getChildren(provider.getChildren()[0]);
+            const item = provider.getTreeItem(steps[0]);
+            assert.strictEqual(item.command.arguments[0].fsPath, logPath);
+            assert.deepStrictEqual(item.command.arguments[1].selection.start, { line: 10, character: 0 });
+            assert.strictEqual(item.tooltip, `FAILED: CXX obj/app/main.o\nLine 11 of ${logPath}`);
+            assert.strictEqual(item.collapsibleState, mockVscode.TreeItemCollapsibleState.Expanded);
+
+            const emptyStep = provider.getTreeItem(steps[1]);
+            assert.strictEqual(emptyStep.collapsibleState, mockVscode.TreeItemCollapsibleState.None);
+
+            const otherProblems = provider.getTreeItem(steps[3]);
+            assert.strictEqual(otherProblems.command, undefined);
+            assert.strictEqual(otherProblems.tooltip, 'Problems reported outside a failed build step');
+        });
+
+        it('should open the source file at a problem', () => {
+            const steps = provider.getChildren(provider.getChildren()[0]);
+            const item = provider.getTreeItem(provider.getChildren(steps[0])[1]);
+            assert.strictEqual(item.label, 'unused variable');
+            assert.strictEqual(item.description, 'main.cc:8');
+            assert.strictEqual(item.tooltip, 'main.cc:8:5\nunused variable');
+            assert.strictEqual(item.command.arguments[0].fsPath, '/work/app/main.cc');
+            assert.deepStrictEqual(item.command.arguments[1].selection.start, { line: 7, character: 4 });
+            assert.strictEqual(item.iconPath.id, 'warning');
+            assert.strictEqual(item.contextValue, 'buildProblem');
+        });
+    });
+
+    it('should refresh when the watcher changes until disposed', () => {
+        let refreshes = 0;
+        provider.onDidChangeTreeData(() => refreshes++);
+
+        watcher.changeEmitter.fire();
+        assert.strictEqual(refreshes, 1);
+
+        provider.dispose();
+        watcher.changeEmitter.fire();
+        assert.strictEqual(refreshes, 1);
+    });
+});
@@ -0,0 +1,477 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const EventEmitter = require('events');
+const { mockVscode, requireWithMockVscode } = require('../utils/mockVscode.js');
+const { setLogLevel, setOutputChannel } = require('../../src/log.js');
+const { appendBaselineEntry } = require('../../src/diagnosticFilters.js');
+
+const { BuildLogWatcher } = requireWithMockVscode('../../src/extension.js');
+
+describe('Build Log Watcher Tests', () => {
+    let tempDir;
+    let settings;
+    let watcher;
+
+    const folderAt = (name) => {
+        const folderPath = path.join(tempDir, name);
+        fs.mkdirSync(folderPath, { recursive: true });
+        return { name, uri: mockVscode.Uri.file(folderPath) };
+    };
+
+    // Writes a log reporting an error in each of the given source files, which are created
+    const writeLog = (logPath, sourceFiles) => {
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+        sourceFiles.forEach(sourceFile => fs.writeFileSync(sourceFile, ''));
+        fs.writeFileSync(logPath, sourceFiles.map(sourceFile => `${sourceFile}:3:5: error: broken\n`).join(''));
+    };
+
+    const settle = () => Promise.all(Array.from(watcher.logStates.values()).map(state => state.parseTask));
+    const publishedFiles = (collection) => Array.from(collection.diagnostics.keys()).sort();
+
+    beforeEach(() => {
+        tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-watcher-')));
+        setLogLevel('off');
+        settings = {
+            logFilePathWildcards: ['out/*/siso_output'],
+            problemMatcherPatterns: ['$gcc'],
+            watchMode: 'polling',
+            pollingInterval: 60000
+        };
+        mockVscode.workspace.workspaceFolders = [folderAt('app')];
+        mockVscode.workspace.getConfiguration = (section) => ({
+            get: (key) => {
+                if (section !== 'watchbuildlog') {
+                    return undefined;
+                }
+                return settings[key];
+            },
+            has: () => false
+        });
+        watcher = new BuildLogWatcher();
+    });
+
+    afterEach(() => {
+        if (watcher.watching) {
+            watcher.stopWatching();
+        }
+        setLogLevel('info');
+        if (tempDir && fs.existsSync(tempDir)) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('all logs', () => {
+        beforeEach(() => {
+            settings.diagnosticsScope = 'allLogs';
+        });
+
+        it('should publish each log to its own collection', async () => {
+            const app = path.join(tempDir, 'app');
+            writeLog(path.join(app, 'out/Debug/siso_output'), [path.join(app, 'debug.cc')]);
+            writeLog(path.join(app, 'out/Release/siso_output'), [path.join(app, 'release.cc')]);
+
+            watcher.startWatching();
+            await settle();
+
+            const debug = watcher.logStates.get(path.join(app, 'out/Debug/siso_output'));
+            const release = watcher.logStates.get(path.join(app, 'out/Release/siso_output'));
+            assert.strictEqual(debug.collection.name, 'buildlog-Debug');
+            assert.strictEqual(release.collection.name, 'buildlog-Release');
+            assert.deepStrictEqual(publishedFiles(debug.collection), [path.join(app, 'debug.cc')]);
+            assert.deepStrictEqual(publishedFiles(release.collection), [path.join(app, 'release.cc')]);
+            assert.strictEqual(debug.collection.get(mockVscode.Uri.file(path.join(app, 'debug.cc')))[0].source, 'Build Log (Debug)');
+            assert.strictEqual(watcher.diagnostics.size, 0);
+        });
+
+        it('should leave the other logs alone when one log is rebuilt or removed', async () => {
+            const app = path.join(tempDir, 'app');
+            const debugLog = path.join(app, 'out/Debug/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+            writeLog(path.join(app, 'out/Release/siso_output'), [path.join(app, 'release.cc')]);
+            watcher.startWatching();
+            await settle();
+            const release = watcher.logStates.get(path.join(app, 'out/Release/siso_output'));
+
+            writeLog(debugLog, [path.join(app, 'other.cc')]);
+            watcher.updateWatchersAndParseMostRecentLog(true);
+            await settle();
+
+            const debug = watcher.logStates.get(debugLog);
+            assert.deepStrictEqual(publishedFiles(debug.collection), [path.join(app, 'other.cc')]);
+            assert.deepStrictEqual(publishedFiles(release.collection), [path.join(app, 'release.cc')]);
+
+            fs.rmSync(debugLog);
+            watcher.updateWatchersAndParseMostRecentLog(true);
+            await settle();
+
+            assert.strictEqual(debug.collection.disposed, true);
+            assert.strictEqual(watcher.logStates.has(debugLog), false);
+            assert.strictEqual(release.collection.disposed, false);
+            assert.deepStrictEqual(publishedFiles(release.collection), [path.join(app, 'release.cc')]);
+        });
+
+        it('should tell apart logs of the same configuration in different workspace folders', async () => {
+            mockVscode.workspace.workspaceFolders = [folderAt('app'), folderAt('lib')];
+            ['app', 'lib'].forEach(name => {
+                writeLog(path.join(tempDir, name, 'out/Debug/siso_output'), [path.join(tempDir, name, 'main.cc')]);
+            });
+
+            watcher.startWatching();
+            await settle();
+
+            const app = watcher.logStates.get(path.join(tempDir, 'app/out/Debug/siso_output'));
+            const lib = watcher.logStates.get(path.join(tempDir, 'lib/out/Debug/siso_output'));
+            assert.strictEqual(app.source, 'Build Log (app/Debug)');
+            assert.strictEqual(lib.source, 'Build Log (lib/Debug)');
+            assert.notStrictEqual(app.collection.name, lib.collection.name);
+        });
+
+        it('should name a log after its path when another log has its name', async () => {
+            settings.logFilePathWildcards = ['out/Debug/*.log'];
+            const app = path.join(tempDir, 'app');
+            writeLog(path.join(app, 'out/Debug/a.log'), [path.join(app, 'a.cc')]);
+            writeLog(path.join(app, 'out/Debug/b.log'), [path.join(app, 'b.cc')]);
+
+            watcher.startWatching();
+            await settle();
+
+            const names = Array.from(watcher.logStates.values()).map(state => state.name).sort();
+            assert.strictEqual(names.length, 2);
+            assert.ok(names.includes('Debug'));
+            assert.ok(names.includes('app/out/Debug/a.log') || names.includes('app/out/Debug/b.log'));
+        });
+    });
+
+    describe('log names', () => {
+        it('should name the shown log after its configuration when showing one log', async () => {
+            const app = path.join(tempDir, 'app');
+            const debugLog = path.join(app, 'out/Debug/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+
+            watcher.startWatching();
+            await settle();
+
+            assert.strictEqual(watcher.logStates.get(debugLog).name, 'Debug');
+            assert.strictEqual(watcher.logStates.get(debugLog).collection, null);
+            assert.strictEqual(watcher.getStatus().activeLogName, 'Debug');
+        });
+
+        it('should not count the name of the log being named as taken', async () => {
+            const app = path.join(tempDir, 'app');
+            const debugLog = path.join(app, 'out/Debug/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+
+            watcher.startWatching();
+            await settle();
+
+            assert.strictEqual(watcher.getLogName(debugLog, mockVscode.workspace.workspaceFolders[0]), 'Debug');
+        });
+    });
+
+    describe('watching', () => {
+        let app;
+        let debugLog;
+
+        // Waits until the update scheduled by a file event has run
+        const waitForUpdate = () => new Promise(resolve => setTimeout(resolve, settings.debounceDelay + 50));
+
+        beforeEach(() => {
+            app = path.join(tempDir, 'app');
+            debugLog = path.join(app, 'out/Debug/siso_output');
+            settings.watchMode = 'events';
+            settings.debounceDelay = 10;
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+        });
+
+        it('should watch logs and the folders they are found in for file events', async () => {
+            watcher.startWatching();
+            await settle();
+
+            assert.ok(watcher.watchers.get(debugLog) instanceof EventEmitter);
+            assert.strictEqual(watcher.intervalId, null);
+            assert.strictEqual(watcher.discoveryWatchers.length, 1);
+            assert.strictEqual(watcher.discoveryWatchers[0].globPattern.base.fsPath, path.join(app, 'out'));
+            assert.strictEqual(watcher.discoveryWatchers[0].globPattern.pattern, '*/siso_output');
+
+            fs.appendFileSync(debugLog, `${path.join(app, 'more.cc')}:9:1: error: more\n`);
+            fs.writeFileSync(path.join(app, 'more.cc'), '');
+            watcher.watchers.get(debugLog).emit('change', 'change', 'siso_output');
+            await waitForUpdate();
+            await settle();
+
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'debug.cc'), path.join(app, 'more.cc')]);
+
+            watcher.stopWatching();
+            assert.strictEqual(watcher.watchers.size, 0);
+            assert.strictEqual(watcher.discoveryWatchers.length, 0);
+        });
+
+        it('should run a single update for a burst of file events', async () => {
+            watcher.startWatching();
+            await settle();
+            const updates = [];
+            watcher.updateWatchersAndParseMostRecentLog = (fileChanged) => updates.push(fileChanged);
+
+            watcher.scheduleUpdate();
+            watcher.scheduleUpdate(true);
+            watcher.scheduleUpdate();
+            assert.deepStrictEqual(updates, []);
+            await waitForUpdate();
+
+            assert.deepStrictEqual(updates, [true]);
+            assert.strictEqual(watcher.updateTimer, null);
+        });
+
+        it('should not run a scheduled update after watching stopped', async () => {
+            watcher.startWatching();
+            await settle();
+            const updates = [];
+            watcher.updateWatchersAndParseMostRecentLog = (fileChanged) => updates.push(fileChanged);
+
+            watcher.scheduleUpdate(true);
+            watcher.stopWatching();
+            await waitForUpdate();
+
+            assert.deepStrictEqual(updates, []);
+        });
+
+        it('should watch a log again after it was replaced', async () => {
+            watcher.startWatching();
+            await settle();
+            const oldWatcher = watcher.watchers.get(debugLog);
+
+            const replacement = path.join(app, 'out/Debug/siso_output.new');
+            writeLog(replacement, [path.join(app, 'replaced.cc')]);
+            fs.renameSync(replacement, debugLog);
+            oldWatcher.emit('change', 'rename', 'siso_output');
+            await waitForUpdate();
+            await settle();
+
+            assert.notStrictEqual(watcher.watchers.get(debugLog), oldWatcher);
+            assert.ok(watcher.watchers.get(debugLog) instanceof EventEmitter);
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'replaced.cc')]);
+        });
+
+        it('should forget a log whose watcher closed when it was deleted', async () => {
+            settings.diagnosticsScope = 'allLogs';
+            const releaseLog = path.join(app, 'out/Release/siso_output');
+            writeLog(releaseLog, [path.join(app, 'release.cc')]);
+            watcher.startWatching();
+            await settle();
+            const debug = watcher.logStates.get(debugLog);
+            const release = watcher.logStates.get(releaseLog);
+
+            fs.rmSync(debugLog);
+            watcher.watchers.get(debugLog).emit('change', 'rename', 'siso_output');
+            assert.strictEqual(watcher.watchers.has(debugLog), false);
+            await waitForUpdate();
+            await settle();
+
+            assert.strictEqual(watcher.logStates.has(debugLog), false);
+            assert.strictEqual(debug.collection.disposed, true);
+            assert.strictEqual(release.collection.disposed, false);
+            assert.deepStrictEqual(publishedFiles(release.collection), [path.join(app, 'release.cc')]);
+        });
+
+        it('should poll for changes instead when watchMode is polling', async () => {
+            settings.watchMode = 'polling';
+            settings.pollingInterval = 20;
+            watcher.startWatching();
+            await settle();
+
+            assert.ok(!(watcher.watchers.get(debugLog) instanceof EventEmitter));
+            assert.notStrictEqual(watcher.intervalId, null);
+            assert.strictEqual(watcher.discoveryWatchers.length, 0);
+
+            // A newer log shows up without any file event
+            const releaseLog = path.join(app, 'out/Release/siso_output');
+            writeLog(releaseLog, [path.join(app, 'release.cc')]);
+            const time = new Date(Date.now() + 60000);
+            fs.utimesSync(releaseLog, time, time);
+            await new Promise(resolve => setTimeout(resolve, settings.pollingInterval * 5));
+            await settle();
+
+            assert.strictEqual(watcher.activeLogFile, releaseLog);
+            assert.ok(watcher.watchers.has(releaseLog));
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'release.cc')]);
+        });
+    });
+
+    describe('baseline', () => {
+        let app;
+        let debugLog;
+        let baselinePath;
+
+        // Suppresses the problem published for a file, the way the quick fix does
+        const suppress = (filePath) => {
+            const [diagnostic] = watcher.diagnostics.get(mockVscode.Uri.file(filePath));
+            const { problem } = watcher.diagnosticOrigins.get(diagnostic);
+            fs.appendFileSync(baselinePath, appendBaselineEntry('', problem, app));
+        };
+
+        beforeEach(() => {
+            app = path.join(tempDir, 'app');
+            debugLog = path.join(app, 'out/Debug/siso_output');
+            baselinePath = path.join(app, '.buildlogignore');
+            writeLog(debugLog, [path.join(app, 'a.cc'), path.join(app, 'b.cc')]);
+        });
+
+        it('should watch the baseline at the root of each workspace folder', () => {
+            mockVscode.workspace.workspaceFolders = [folderAt('app'), folderAt('lib')];
+            watcher.startWatching();
+
+            assert.deepStrictEqual(watcher.baselineWatchers.map(({ globPattern }) => [globPattern.base.name, globPattern.pattern]), [
+                ['app', '.buildlogignore'],
+                ['lib', '.buildlogignore']
+            ]);
+
+            watcher.stopWatching();
+            assert.strictEqual(watcher.baselineWatchers.length, 0);
+        });
+
+        it('should remove newly suppressed problems without parsing again', async () => {
+            watcher.startWatching();
+            await settle();
+            const state = watcher.logStates.get(debugLog);
+
+            suppress(path.join(app, 'a.cc'));
+            watcher.baselineWatchers[0].createEmitter.fire();
+            await settle();
+
+            assert.strictEqual(watcher.logStates.get(debugLog), state);
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'b.cc')]);
+            assert.deepStrictEqual(state.publishedSteps.flatMap(step => step.problems).map(problem => problem.filePath), [path.join(app, 'b.cc')]);
+            assert.strictEqual(watcher.getStatus().errors, 1);
+        });
+
+        it('should parse again when a suppression is lifted', async () => {
+            watcher.startWatching();
+            await settle();
+            suppress(path.join(app, 'a.cc'));
+            watcher.baselineWatchers[0].createEmitter.fire();
+            await settle();
+            const state = watcher.logStates.get(debugLog);
+
+            fs.rmSync(baselinePath);
+            watcher.baselineWatchers[0].deleteEmitter.fire();
+            await settle();
+
+            assert.notStrictEqual(watcher.logStates.get(debugLog), state);
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'a.cc'), path.join(app, 'b.cc')]);
+        });
+    });
+
+    describe('logging', () => {
+        it('should log each matched problem at trace level', async () => {
+            const messages = [];
+            setOutputChannel({
+                info: () => {},
+                debug: () => {},
+                trace: (message) => messages.push(message)
+            });
+            setLogLevel('trace');
+            const app = path.join(tempDir, 'app');
+            const debugLog = path.join(app, 'out/Debug/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+
+            try {
+                watcher.startWatching();
+                await settle();
+            } finally {
+                setOutputChannel(null);
+            }
+
+            assert.deepStrictEqual(messages, [`Line 1 of ${debugLog} matched error in ${path.join(app, 'debug.cc')}: broken`]);
+        });
+    });
+
+    describe('last lines', () => {
+        it('should parse a last line without a newline once the log stays the same', async () => {
+            const app = path.join(tempDir, 'app');
+            const debugLog = path.join(app, 'out/Debug/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+            fs.writeFileSync(debugLog, fs.readFileSync(debugLog, 'utf8').trimEnd());
+
+            watcher.startWatching();
+            await settle();
+            assert.strictEqual(watcher.diagnostics.size, 0);
+            assert.notStrictEqual(watcher.logStates.get(debugLog).partialLineTimer, null);
+
+            await watcher.parseLogFile(debugLog, true);
+
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'debug.cc')]);
+            assert.strictEqual(watcher.logStates.get(debugLog).partialLineTimer, null);
+        });
+    });
+
+    describe('queued parses', () => {
+        let app;
+        let debugLog;
+        let releaseLog;
+
+        // Makes a log the newest one, which is the one shown
+        const touch = (logPath, secondsFromNow) => {
+            const time = new Date(Date.now() + secondsFromNow * 1000);
+            fs.utimesSync(logPath, time, time);
+        };
+
+        beforeEach(async () => {
+            app = path.join(tempDir, 'app');
+            debugLog = path.join(app, 'out/Debug/siso_output');
+            releaseLog = path.join(app, 'out/Release/siso_output');
+            writeLog(debugLog, [path.join(app, 'debug.cc')]);
+            writeLog(releaseLog, [path.join(app, 'release.cc')]);
+            touch(releaseLog, -60);
+
+            watcher.startWatching();
+            await settle();
+            assert.strictEqual(watcher.activeLogFile, debugLog);
+        });
+
+        it('should not parse a queued change of a log that is no longer shown', async () => {
+            const debug = watcher.logStates.get(debugLog);
+            const readLines = debug.reader.lineNumber;
+            fs.appendFileSync(debugLog, `${path.join(app, 'debug.cc')}:9:1: error: more\n`);
+            const queuedParse = watcher.parseLogFile(debugLog);
+
+            touch(releaseLog, 60);
+            watcher.updateWatchersAndParseMostRecentLog(true);
+            await queuedParse;
+            await settle();
+
+            assert.strictEqual(watcher.activeLogFile, releaseLog);
+            assert.strictEqual(debug.reader.lineNumber, readLines);
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'release.cc')]);
+        });
+
+        it('should not publish a queued parse of a forgotten log state', async () => {
+            const debug = watcher.logStates.get(debugLog);
+            fs.appendFileSync(debugLog, `${path.join(app, 'other.cc')}:9:1: error: more\n`);
+            const queuedParse = watcher.parseLogFile(debugLog);
+
+            watcher.deleteLogState(debugLog);
+            watcher.diagnostics.clear();
+            await queuedParse;
+
+            assert.strictEqual(debug.reader.lineNumber, 1);
+            assert.strictEqual(watcher.diagnostics.size, 0);
+        });
+
+        it('should parse the log again from the start after reparse', async () => {
+            fs.appendFileSync(debugLog, `${path.join(app, 'other.cc')}:9:1: error: more\n`);
+            const staleState = watcher.logStates.get(debugLog);
+            const queuedParse = watcher.parseLogFile(debugLog);
+
+            watcher.reparse();
+            await queuedParse;
+            await settle();
+
+            assert.strictEqual(staleState.reader.lineNumber, 1);
+            assert.notStrictEqual(watcher.logStates.get(debugLog), staleState);
+            assert.deepStrictEqual(publishedFiles(watcher.diagnostics), [path.join(app, 'debug.cc'), path.join(app, 'other.cc')]);
+        });
+    });
+});
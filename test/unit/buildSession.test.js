@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { BuildSessionMarkers } = require('../../src/buildSession.js');
+
+describe('Build Session Marker Tests', () => {
+    describe('default markers', () => {
+        const markers = new BuildSessionMarkers();
+
+        it('should treat truncation as the start of a build', () => {
+            assert.strictEqual(markers.truncation, true);
+        });
+
+        it('should recognize ninja starting a build', () => {
+            assert(markers.isStart('ninja: Entering directory `out/Default\''));
+            assert(!markers.isStart('[1/340] CXX obj/base/foo.o'));
+        });
+
+        it('should recognize ninja stopping or finishing a build', () => {
+            assert(markers.isEnd('ninja: build stopped: subcommand failed.'));
+            assert(markers.isEnd('ninja: no work to do.'));
+            assert(markers.isEnd('[340/340] LINK ./chrome'));
+            assert(markers.isEnd('Build Succeeded: 340 steps'));
+        });
+
+        it('should not treat intermediate steps as the end of a build', () => {
+            assert(!markers.isEnd('[339/340] CXX obj/base/foo.o'));
+            assert(!markers.isEnd('[34/340] CXX obj/base/bar.o'));
+            assert(!markers.isEnd('FAILED: obj/base/foo.o'));
+        });
+
+        it('should name failed ninja and siso steps after their outputs', () => {
+            assert.strictEqual(markers.matchFailedStep('FAILED: obj/base/foo.o'), 'obj/base/foo.o');
+            assert.strictEqual(markers.matchFailedStep('FAILED: [code=1] obj/base/bar.o '), 'obj/base/bar.o');
+            assert.strictEqual(markers.matchFailedStep('[12/340] CXX obj/base/foo.o'), null);
+        });
+
+        it('should recognize the start of every step', () => {
+            assert(markers.isStep('[12/340] CXX obj/base/foo.o'));
+            assert(!markers.isStep('FAILED: obj/base/foo.o'));
+            assert(!markers.isStep('../../base/foo.cc:1:2: error: oops'));
+        });
+    });
+
+    describe('custom markers', () => {
+        it('should use configured start and end markers', () => {
+            const markers = new BuildSessionMarkers({
+                start: ['^=== Build started'],
+                end: ['^=== Build (done|failed)']
+            });
+
+            assert(markers.isStart('=== Build started at 10:00'));
+            assert(!markers.isStart('ninja: Entering directory `out/Default\''));
+            assert(markers.isEnd('=== Build failed'));
+            assert(!markers.isEnd('ninja: build stopped: subcommand failed.'));
+        });
+
+        it('should use configured failed step markers', () => {
+            const markers = new BuildSessionMarkers({
+                failedStep: ['^make: \\*\\*\\* \\[.*: (.*)\\] Error', '^error: linking failed'],
+                step: ['^Compiling ']
+            });
+
+            assert.strictEqual(markers.matchFailedStep('make: *** [Makefile:12: app.o] Error 1'), 'app.o');
+            // Without a capture group the whole line names the step
+            assert.strictEqual(markers.matchFailedStep('error: linking failed'), 'error: linking failed');
+            assert.strictEqual(markers.matchFailedStep('FAILED: obj/base/foo.o'), null);
+            assert(markers.isStep('Compiling app.c'));
+            assert(!markers.isStep('[12/340] CXX obj/base/foo.o'));
+        });
+
+        it('should allow disabling truncation as a start marker', () => {
+            assert.strictEqual(new BuildSessionMarkers({ truncation: false }).truncation, false);
+        });
+
+        it('should allow disabling markers with empty lists', () => {
+            const markers = new BuildSessionMarkers({ start: [], end: [] });
+
+            assert(!markers.isStart('ninja: Entering directory `out/Default\''));
+            assert(!markers.isEnd('ninja: build stopped: subcommand failed.'));
+        });
+
+        it('should skip invalid marker regexes', () => {
+            const markers = new BuildSessionMarkers({ end: ['[invalid(', '^done$'] });
+
+            assert(markers.isEnd('done'));
+        });
+    });
+});
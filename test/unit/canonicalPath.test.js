@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { PathCanonicalizer } = require('../../src/canonicalPath.js');
+
+describe('Path Canonicalization Tests', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        // The temp folder itself may be behind a symlink, e.g. /tmp on macOS
+        tempDir = fs.realpathSync.native(fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-canonical-')));
+        fs.mkdirSync(path.join(tempDir, 'src', 'base'), { recursive: true });
+        fs.mkdirSync(path.join(tempDir, 'src', 'out', 'Default'), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, 'src', 'base', 'foo.h'), '');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should normalize relative segments', () => {
+        const canonicalizer = new PathCanonicalizer(false);
+        const logDir = path.join(tempDir, 'src', 'out', 'Default');
+        const expected = path.join(tempDir, 'src', 'base', 'foo.h');
+
+        assert.strictEqual(canonicalizer.canonicalize(path.join(logDir, '../../base/foo.h')), expected);
+        assert.strictEqual(canonicalizer.canonicalize(path.join(logDir, 'gen/../../../base/foo.h')), expected);
+    });
+
+    it('should resolve symlinks, including for files that do not exist yet', (t) => {
+        const link = path.join(tempDir, 'src', 'out', 'Default', 'src');
+        try {
+            fs.symlinkSync(path.join(tempDir, 'src'), link, 'dir');
+        } catch (error) {
+            t.skip('Creating symlinks is not permitted');
+            return;
+        }
+        const canonicalizer = new PathCanonicalizer(false);
+
+        assert.strictEqual(canonicalizer.canonicalize(path.join(link, 'base', 'foo.h')), path.join(tempDir, 'src', 'base', 'foo.h'));
+        assert.strictEqual(canonicalizer.canonicalize(path.join(link, 'gen', 'bar.h')), path.join(tempDir, 'src', 'gen', 'bar.h'));
+    });
+
+    it('should fold the case of paths on case-insensitive file systems', () => {
+        const canonicalizer = new PathCanonicalizer(true);
+        const first = canonicalizer.canonicalize(path.join(tempDir, 'src', 'Gen', 'Bar.h'));
+
+        assert.strictEqual(first, path.join(tempDir, 'src', 'Gen', 'Bar.h'));
+        assert.strictEqual(canonicalizer.canonicalize(path.join(tempDir, 'src', 'gen', 'bar.H')), first);
+    });
+
+    it('should keep the case of paths on case-sensitive file systems', () => {
+        const canonicalizer = new PathCanonicalizer(false);
+
+        assert.notStrictEqual(
+            canonicalizer.canonicalize(path.join(tempDir, 'src', 'Gen', 'Bar.h')),
+            canonicalizer.canonicalize(path.join(tempDir, 'src', 'gen', 'bar.h'))
+        );
+    });
+
+    it('should forget paths when cleared', () => {
+        const canonicalizer = new PathCanonicalizer(true);
+        canonicalizer.canonicalize(path.join(tempDir, 'src', 'Gen', 'Bar.h'));
+        canonicalizer.clear();
+
+        assert.strictEqual(canonicalizer.canonicalize(path.join(tempDir, 'src', 'gen', 'bar.h')), path.join(tempDir, 'src', 'gen', 'bar.h'));
+    });
+});
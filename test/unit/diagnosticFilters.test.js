@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DiagnosticFilter, appendBaselineEntry, getFingerprint, parseBaseline } = require('../../src/diagnosticFilters.js');
+
+const workspaceFolder = path.resolve('/home/dev/project');
+const problemIn = (relativePath, fields) => ({ severity: 'warning', filePath: path.join(workspaceFolder, relativePath), message: 'unused variable', ...fields });
+
+describe('Diagnostic Filter Tests', () => {
+    describe('filters', () => {
+        it('should show every problem without settings', () => {
+            const filter = new DiagnosticFilter(undefined, workspaceFolder);
+
+            assert.strictEqual(filter.isShown(problemIn('a.cc', { severity: 'hint' })), true);
+        });
+
+        it('should hide problems less severe than the minimum severity', () => {
+            const filter = new DiagnosticFilter({ minimumSeverity: 'warning' }, workspaceFolder);
+
+            assert.strictEqual(filter.isShown(problemIn('a.cc', { severity: 'error' })), true);
+            assert.strictEqual(filter.isShown(problemIn('a.cc', { severity: 'warning' })), true);
+            assert.strictEqual(filter.isShown(problemIn('a.cc', { severity: 'information' })), false);
+        });
+
+        it('should hide problems matching an exclude rule', () => {
+            const filter = new DiagnosticFilter({
+                exclude: [
+                    { file: 'third_party/**', severity: 'warning' },
+                    { code: '^C4996$' }
+                ]
+            }, workspaceFolder);
+
+            assert.strictEqual(filter.isShown(problemIn('third_party/zlib/zlib.c')), false);
+            assert.strictEqual(filter.isShown(problemIn('third_party/zlib/zlib.c', { severity: 'error' })), true);
+            assert.strictEqual(filter.isShown(problemIn('base/util.cc', { code: 'C4996' })), false);
+            assert.strictEqual(filter.isShown(problemIn('base/util.cc', { code: 'C4267' })), true);
+        });
+
+        it('should only show problems matching an include rule when there are any', () => {
+            const filter = new DiagnosticFilter({
+                include: [{ file: 'src/**' }, { message: '^undefined' }],
+                exclude: [{ file: 'src/generated/**' }]
+            }, workspaceFolder);
+
+            assert.strictEqual(filter.isShown(problemIn('src/app.cc')), true);
+            assert.strictEqual(filter.isShown(problemIn('lib/app.cc', { message: 'undefined reference' })), true);
+            assert.strictEqual(filter.isShown(problemIn('lib/app.cc')), false);
+            assert.strictEqual(filter.isShown(problemIn('src/generated/proto.cc')), false);
+        });
+
+        it('should skip invalid rules', () => {
+            const filter = new DiagnosticFilter({ exclude: [{ message: '(' }, 'third_party', { severity: 'fatal' }] }, workspaceFolder);
+
+            assert.strictEqual(filter.exclude.length, 0);
+            assert.strictEqual(filter.isShown(problemIn('a.cc')), true);
+        });
+    });
+
+    describe('baseline', () => {
+        it('should fingerprint problems by relative file, code and message', () => {
+            const fingerprint = getFingerprint(problemIn('base/a.cc', { line: 3 }), workspaceFolder);
+
+            assert.match(fingerprint, /^[0-9a-f]{16}$/);
+            assert.strictEqual(getFingerprint(problemIn('base/a.cc', { severity: 'error', message: ' unused  variable' }), workspaceFolder), fingerprint);
+            assert.notStrictEqual(getFingerprint(problemIn('base/b.cc'), workspaceFolder), fingerprint);
+            assert.notStrictEqual(getFingerprint(problemIn('base/a.cc', { code: '-Wunused' }), workspaceFolder), fingerprint);
+        });
+
+        it('should give the same fingerprint in another checkout', () => {
+            const otherFolder = path.resolve('/src/checkout');
+            const otherProblem = { ...problemIn('base/a.cc'), filePath: path.join(otherFolder, 'base', 'a.cc') };
+
+            assert.strictEqual(getFingerprint(otherProblem, otherFolder), getFingerprint(problemIn('base/a.cc'), workspaceFolder));
+        });
+
+        it('should append entries that name the problem', () => {
+            const problem = problemIn('base/a.cc', { code: '-Wunused-variable' });
+            const text = appendBaselineEntry('', problem, workspaceFolder);
+
+            assert.ok(text.startsWith('#'));
+            assert.ok(text.endsWith(`${getFingerprint(problem, workspaceFolder)}  # base/a.cc: unused variable [-Wunused-variable]\n`));
+            assert.strictEqual(appendBaselineEntry('abc', problem, workspaceFolder)[0], '\n');
+            assert.notStrictEqual(appendBaselineEntry('abc\n', problem, workspaceFolder)[0], '\n');
+            assert.strictEqual(appendBaselineEntry(text, problem, workspaceFolder), '');
+        });
+
+        it('should parse fingerprints and ignore comments', () => {
+            const fingerprints = parseBaseline('# header\r\n\r\n0123456789ABCDEF  # base/a.cc: bad\nfedcba9876543210\n   # indented comment\n');
+
+            assert.deepStrictEqual(Array.from(fingerprints), ['0123456789abcdef', 'fedcba9876543210']);
+        });
+
+        it('should hide problems listed in the baseline', () => {
+            const suppressed = problemIn('third_party/zlib/zlib.c');
+            const filter = new DiagnosticFilter({}, workspaceFolder, parseBaseline(appendBaselineEntry('', suppressed, workspaceFolder)));
+
+            assert.strictEqual(filter.isShown({ ...suppressed, severity: 'error' }), false);
+            assert.strictEqual(filter.isShown(problemIn('third_party/zlib/zlib.c', { message: 'other' })), true);
+        });
+    });
+});
@@ -3,97 +3,14 @@ const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { mockVscode } = require('../utils/mockVscode.js');
-
-// Mock VS Code before requiring the extension
-global.vscode = mockVscode;
-
-// Create a testable version of BuildLogWatcher with glob functionality
-class TestableGlobMatcher {
-    constructor() {
-        this.watchers = new Map();
-        this.diagnostics = mockVscode.languages.createDiagnosticCollection('buildlog');
-        this.currentWildcards = [];
-    }
-
-    globMatch(pattern) {
-        const matches = [];
-        const parts = pattern.split(path.sep);
-        
-        try {
-            this.searchPath(parts, 0, '', matches);
-        } catch (error) {
-            // Silently ignore errors for invalid paths
-        }
-        
-        return matches;
-    }
-
-    searchPath(parts, index, currentPath, matches) {
-        if (index >= parts.length) {
-            if (fs.existsSync(currentPath) && fs.statSync(currentPath).isFile()) {
-                matches.push(currentPath);
-            }
-            return;
-        }
-
-        const part = parts[index];
-        
-        if (part === '') {
-            // Handle leading separator or drive on Windows
-            if (index === 0) {
-                this.searchPath(parts, index + 1, path.sep, matches);
-            }
-            return;
-        }
-
-        if (part.includes('*')) {
-            // Handle wildcard
-            const basePath = currentPath || (index === 0 ? '' : path.sep);
-            if (!fs.existsSync(basePath) || !fs.statSync(basePath).isDirectory()) {
-                return;
-            }
-
-            const regex = new RegExp('^' + part.replace(/\*/g, '.*') + '$');
-            try {
-                const entries = fs.readdirSync(basePath);
-                entries.forEach(entry => {
-                    if (regex.test(entry)) {
-                        const fullPath = path.join(basePath, entry);
-                        this.searchPath(parts, index + 1, fullPath, matches);
-                    }
-                });
-            } catch (error) {
-                // Ignore permission errors
-            }
-        } else {
-            // Exact match
-            const nextPath = currentPath ? path.join(currentPath, part) : part;
-            this.searchPath(parts, index + 1, nextPath, matches);
-        }
-    }
-
-    findMatchingFiles(wildcards, workspaceRoot) {
-        const matchedFiles = new Set();
-
-        wildcards.forEach(pattern => {
-            const resolvedPattern = path.isAbsolute(pattern) ? pattern : path.resolve(workspaceRoot, pattern);
-            const files = this.globMatch(resolvedPattern);
-            files.forEach(file => matchedFiles.add(file));
-        });
-
-        return Array.from(matchedFiles);
-    }
-}
+const glob = require('../../src/glob.js');
+const { findMatchingFiles } = require('../../src/logDiscovery.js');
 
 describe('Glob Matching Tests', () => {
-    let matcher;
     let tempDir;
     let testFiles;
 
     beforeEach(() => {
-        matcher = new TestableGlobMatcher();
-        
         // Create temporary directory structure for testing
         tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-test-'));
         
@@ -138,7 +55,7 @@ describe('Glob Matching Tests', () => {
     describe('globMatch', () => {
         it('should match exact file paths', () => {
             const pattern = path.join(tempDir, 'logs', 'build.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             assert.strictEqual(matches.length, 1);
             assert.strictEqual(matches[0], pattern);
@@ -146,7 +63,7 @@ describe('Glob Matching Tests', () => {
 
         it('should match files with simple wildcard', () => {
             const pattern = path.join(tempDir, 'logs', '*.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             assert.strictEqual(matches.length, 2);
             assert(matches.includes(path.join(tempDir, 'logs', 'build.log')));
@@ -155,7 +72,7 @@ describe('Glob Matching Tests', () => {
 
         it('should match files with directory wildcard', () => {
             const pattern = path.join(tempDir, '*', '*.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             // Should find logs/build.log, logs/error.log, and build/ninja.log
             assert(matches.length >= 3);
@@ -166,7 +83,7 @@ describe('Glob Matching Tests', () => {
 
         it('should match files with multiple wildcards', () => {
             const pattern = path.join(tempDir, '*', '*', '*.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             // Should find logs/debug/verbose.log and build/output/compile.log
             assert(matches.length >= 2);
@@ -176,14 +93,14 @@ describe('Glob Matching Tests', () => {
 
         it('should handle non-existent paths gracefully', () => {
             const pattern = path.join(tempDir, 'nonexistent', '*.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             assert.strictEqual(matches.length, 0);
         });
 
         it('should handle patterns that match directories as files', () => {
             const pattern = path.join(tempDir, 'logs');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             // Should not match because logs is a directory, not a file
             assert.strictEqual(matches.length, 0);
@@ -192,7 +109,7 @@ describe('Glob Matching Tests', () => {
         it('should handle empty pattern parts', () => {
             // Test with double separators
             const pattern = path.join(tempDir, 'logs', '', 'build.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
             // Should still find the file despite empty part
             assert.strictEqual(matches.length, 1);
@@ -201,17 +118,19 @@ describe('Glob Matching Tests', () => {
 
         it('should match files with complex wildcards', () => {
             const pattern = path.join(tempDir, '**', '*.log');
-            const matches = matcher.globMatch(pattern);
+            const matches = glob.globMatch(pattern);
             
-            // Note: This simple implementation doesn't support ** but should still work with *
-            assert(matches.length >= 0);
+            // Should find every .log file at any depth
+            assert.strictEqual(matches.length, 5);
+            assert(matches.some(m => m.endsWith('verbose.log')));
+            assert(matches.some(m => m.endsWith('compile.log')));
         });
     });
 
     describe('findMatchingFiles', () => {
         it('should handle relative patterns with workspace root', () => {
             const wildcards = ['logs/*.log', 'build/*.log'];
-            const matches = matcher.findMatchingFiles(wildcards, tempDir);
+            const matches = findMatchingFiles(wildcards, tempDir);
             
             assert(matches.length >= 3);
             assert(matches.some(m => m.endsWith('build.log')));
@@ -224,7 +143,7 @@ describe('Glob Matching Tests', () => {
                 path.join(tempDir, 'logs', '*.log'),
                 path.join(tempDir, 'build', '*.log')
             ];
-            const matches = matcher.findMatchingFiles(wildcards, '/some/other/root');
+            const matches = findMatchingFiles(wildcards, '/some/other/root');
             
             assert(matches.length >= 3);
             assert(matches.some(m => m.endsWith('build.log')));
@@ -237,7 +156,7 @@ describe('Glob Matching Tests', () => {
                 'logs/*.log',
                 'logs/build.log' // Specific file that's also matched by wildcard
             ];
-            const matches = matcher.findMatchingFiles(wildcards, tempDir);
+            const matches = findMatchingFiles(wildcards, tempDir);
             
             // Should not have duplicates
             const buildLogMatches = matches.filter(m => m.endsWith('build.log'));
@@ -245,13 +164,13 @@ describe('Glob Matching Tests', () => {
         });
 
         it('should handle empty wildcard list', () => {
-            const matches = matcher.findMatchingFiles([], tempDir);
+            const matches = findMatchingFiles([], tempDir);
             assert.strictEqual(matches.length, 0);
         });
 
         it('should handle patterns that match no files', () => {
             const wildcards = ['nonexistent/*.log', 'missing/*.txt'];
-            const matches = matcher.findMatchingFiles(wildcards, tempDir);
+            const matches = findMatchingFiles(wildcards, tempDir);
             
             assert.strictEqual(matches.length, 0);
         });
@@ -269,7 +188,7 @@ describe('Glob Matching Tests', () => {
             };
 
             try {
-                const matches = matcher.globMatch(pattern);
+                const matches = glob.globMatch(pattern);
                 // Should handle error gracefully and return empty array
                 assert.strictEqual(matches.length, 0);
             } finally {
@@ -287,7 +206,7 @@ describe('Glob Matching Tests', () => {
             };
 
             try {
-                const matches = matcher.globMatch(pattern);
+                const matches = glob.globMatch(pattern);
                 // Should handle error gracefully
                 assert.strictEqual(matches.length, 0);
             } finally {
@@ -305,7 +224,7 @@ describe('Glob Matching Tests', () => {
 
             badPatterns.forEach(pattern => {
                 const fullPattern = path.join(tempDir, pattern);
-                const matches = matcher.globMatch(fullPattern);
+                const matches = glob.globMatch(fullPattern);
                 // Should not crash and return some result
                 assert(Array.isArray(matches));
             });
@@ -320,7 +239,7 @@ describe('Glob Matching Tests', () => {
                 const pattern = `${driveLetter}:\\**\\*.log`;
                 
                 // Should not crash when processing Windows paths
-                const matches = matcher.globMatch(pattern);
+                const matches = glob.globMatch(pattern);
                 assert(Array.isArray(matches));
             }
         });
@@ -330,9 +249,209 @@ describe('Glob Matching Tests', () => {
                 const pattern = '\\\\server\\share\\*.log';
                 
                 // Should not crash when processing UNC paths
-                const matches = matcher.globMatch(pattern);
+                const matches = glob.globMatch(pattern);
                 assert(Array.isArray(matches));
             }
         });
     });
 });
+
+describe('Glob Syntax Tests', () => {
+    let tempDir;
+
+    const relativeMatches = (pattern, options) => glob.globMatch(path.join(tempDir, pattern), options)
+        .map(match => path.relative(tempDir, match).split(path.sep).join('/'))
+        .sort();
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-glob-'));
+
+        [
+            'out/Debug_x64/siso_output',
+            'out/Release_x64/siso_output',
+            'out/Release_arm64/siso_output',
+            'out/Debug_x64/gen/deep/nested/build.log',
+            'out/a.b/build.log',
+            'out/axb/build.log',
+            'out/c++/build.log',
+            'logs/build1.log',
+            'logs/build2.log',
+            'logs/buildA.log',
+            'build.log'
+        ].forEach(file => {
+            fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(tempDir, file), '');
+        });
+    });
+
+    afterEach(() => {
+        if (tempDir && fs.existsSync(tempDir)) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('globMatch', () => {
+        it('should match any number of directories with **', () => {
+            assert.deepStrictEqual(relativeMatches('**/build.log'), [
+                'build.log',
+                'out/Debug_x64/gen/deep/nested/build.log',
+                'out/a.b/build.log',
+                'out/axb/build.log',
+                'out/c++/build.log'
+            ]);
+        });
+
+        it('should match every file below a trailing **', () => {
+            assert.deepStrictEqual(relativeMatches('out/Debug_x64/**'), [
+                'out/Debug_x64/gen/deep/nested/build.log',
+                'out/Debug_x64/siso_output'
+            ]);
+        });
+
+        it('should match a single character with ?', () => {
+            assert.deepStrictEqual(relativeMatches('logs/build?.log'), [
+                'logs/build1.log',
+                'logs/build2.log',
+                'logs/buildA.log'
+            ]);
+        });
+
+        it('should match character classes', () => {
+            assert.deepStrictEqual(relativeMatches('logs/build[0-9].log'), ['logs/build1.log', 'logs/build2.log']);
+            assert.deepStrictEqual(relativeMatches('logs/build[!0-9].log'), ['logs/buildA.log']);
+        });
+
+        it('should expand brace alternation', () => {
+            assert.deepStrictEqual(relativeMatches('out/{Debug,Release}_x64/siso_output'), [
+                'out/Debug_x64/siso_output',
+                'out/Release_x64/siso_output'
+            ]);
+        });
+
+        it('should expand brace alternation after **', () => {
+            assert.deepStrictEqual(relativeMatches('**/{build1,build2}.log'), ['logs/build1.log', 'logs/build2.log']);
+        });
+
+        it('should treat regex metacharacters in names literally', () => {
+            assert.deepStrictEqual(relativeMatches('out/a.*/build.log'), ['out/a.b/build.log']);
+            assert.deepStrictEqual(relativeMatches('out/c+*/build.log'), ['out/c++/build.log']);
+        });
+
+        it('should stop descending at the depth limit', () => {
+            assert.deepStrictEqual(relativeMatches('out/**/build.log', { maxDepth: 1 }), [
+                'out/a.b/build.log',
+                'out/axb/build.log',
+                'out/c++/build.log'
+            ]);
+        });
+
+        it('should not loop forever on symlink cycles', () => {
+            try {
+                fs.symlinkSync(path.join(tempDir, 'out'), path.join(tempDir, 'out', 'Debug_x64', 'loop'), 'dir');
+            } catch (error) {
+                // Creating symlinks may not be permitted, e.g. on Windows without developer mode
+                return;
+            }
+
+            const matches = relativeMatches('**/siso_output');
+            assert(matches.includes('out/Debug_x64/siso_output'));
+            assert(matches.length < 10);
+        });
+    });
+
+    describe('expandBraces', () => {
+        it('should expand nested groups', () => {
+            assert.deepStrictEqual(glob.expandBraces('a/{b,{c,d}}/e'), ['a/b/e', 'a/c/e', 'a/d/e']);
+        });
+
+        it('should expand several groups', () => {
+            assert.deepStrictEqual(glob.expandBraces('{a,b}-{1,2}'), ['a-1', 'a-2', 'b-1', 'b-2']);
+        });
+
+        it('should keep groups without alternatives literal', () => {
+            assert.deepStrictEqual(glob.expandBraces('a/{b}/c'), ['a/{b}/c']);
+            assert.deepStrictEqual(glob.expandBraces('a/{b,c'), ['a/{b,c']);
+        });
+    });
+
+    describe('segmentToRegExp', () => {
+        it('should escape regex metacharacters', () => {
+            const regex = glob.segmentToRegExp('file(1).log');
+            assert(regex.test('file(1).log'));
+            assert(!regex.test('file1xlog'));
+        });
+
+        it('should not let * cross path separators', () => {
+            assert(!glob.segmentToRegExp('*').test('a/b'));
+        });
+    });
+});
+
+describe('Glob Exclude Tests', () => {
+    const root = path.resolve(os.tmpdir(), 'workspace');
+    const inRoot = (...parts) => path.join(root, ...parts);
+
+    describe('createPathFilter', () => {
+        it('should match relative patterns against the base path', () => {
+            const isExcluded = glob.createPathFilter(['out/**/gtest*.log'], root);
+
+            assert(isExcluded(inRoot('out', 'Debug', 'gtest_base.log')));
+            assert(isExcluded(inRoot('out', 'gtest.log')));
+            assert(!isExcluded(inRoot('out', 'Debug', 'siso_output')));
+            assert(!isExcluded(inRoot('other', 'out', 'gtest.log')));
+        });
+
+        it('should match patterns without a folder part at any depth', () => {
+            const isExcluded = glob.createPathFilter(['.ninja_log', '*.tmp'], root);
+
+            assert(isExcluded(inRoot('out', 'Debug', '.ninja_log')));
+            assert(isExcluded(inRoot('a', 'b', 'c', 'build.tmp')));
+            assert(!isExcluded(inRoot('out', 'Debug', 'siso_output')));
+        });
+
+        it('should exclude everything inside an excluded folder', () => {
+            const isExcluded = glob.createPathFilter(['out/archive'], root);
+
+            assert(isExcluded(inRoot('out', 'archive', '2024', 'siso_output')));
+            assert(!isExcluded(inRoot('out', 'archived', 'siso_output')));
+        });
+
+        it('should support absolute patterns and brace alternation', () => {
+            const isExcluded = glob.createPathFilter([inRoot('out', '{Debug,Release}_arm64', '*')], root);
+
+            assert(isExcluded(inRoot('out', 'Release_arm64', 'siso_output')));
+            assert(!isExcluded(inRoot('out', 'Release_x64', 'siso_output')));
+        });
+
+        it('should not exclude anything without patterns', () => {
+            assert(!glob.createPathFilter([], root)(inRoot('out', 'siso_output')));
+        });
+    });
+});
+
+describe('Glob Base Tests', () => {
+    const root = path.resolve(os.tmpdir(), 'workspace');
+
+    describe('splitGlobBase', () => {
+        it('should split at the first segment with glob syntax', () => {
+            assert.deepStrictEqual(glob.splitGlobBase(path.join(root, 'out', '*', 'siso_output')), {
+                base: path.join(root, 'out'),
+                pattern: '*/siso_output'
+            });
+        });
+
+        it('should treat brace alternation as glob syntax', () => {
+            assert.deepStrictEqual(glob.splitGlobBase(path.join(root, 'out', '{Debug,Release}', '**', 'build.log')), {
+                base: path.join(root, 'out'),
+                pattern: '{Debug,Release}/**/build.log'
+            });
+        });
+
+        it('should use the parent folder for patterns without glob syntax', () => {
+            assert.deepStrictEqual(glob.splitGlobBase(path.join(root, 'out', 'build.log')), {
+                base: path.join(root, 'out'),
+                pattern: 'build.log'
+            });
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { setOutputChannel, setLogLevel, isLogLevelEnabled, log, logError, logWarning, logDebug, logTrace, logErrorOnce, clearLoggedErrors } = require('../../src/log.js');
+
+// Records messages the way a LogOutputChannel would receive them
+const createChannel = () => {
+    const messages = [];
+    const record = level => message => messages.push([level, message]);
+    return {
+        messages,
+        error: record('error'),
+        warn: record('warn'),
+        info: record('info'),
+        debug: record('debug'),
+        trace: record('trace')
+    };
+};
+
+describe('Logging Tests', () => {
+    let channel;
+
+    beforeEach(() => {
+        channel = createChannel();
+        setOutputChannel(channel);
+    });
+
+    afterEach(() => {
+        setOutputChannel(null);
+        setLogLevel(undefined);
+    });
+
+    it('should write each level to the matching channel method', () => {
+        setLogLevel('trace');
+
+        logError('error');
+        logWarning('warning');
+        log('info');
+        logDebug('debug');
+        logTrace('trace');
+
+        assert.deepStrictEqual(channel.messages, [
+            ['error', 'error'],
+            ['warn', 'warning'],
+            ['info', 'info'],
+            ['debug', 'debug'],
+            ['trace', 'trace']
+        ]);
+    });
+
+    it('should drop messages more detailed than the log level', () => {
+        setLogLevel('warning');
+
+        logError('shown');
+        logWarning('shown');
+        log('dropped');
+        logDebug('dropped');
+
+        assert.deepStrictEqual(channel.messages.map(([, message]) => message), ['shown', 'shown']);
+        assert(isLogLevelEnabled('warning'));
+        assert(!isLogLevelEnabled('info'));
+    });
+
+    it('should log nothing when turned off', () => {
+        setLogLevel('off');
+
+        logError('dropped');
+
+        assert.deepStrictEqual(channel.messages, []);
+    });
+
+    it('should default to info for missing or unknown levels', () => {
+        setLogLevel('verbose');
+
+        log('shown');
+        logDebug('dropped');
+
+        assert.deepStrictEqual(channel.messages, [['info', 'shown']]);
+    });
+
+    it('should join arguments and show error messages', () => {
+        log('Found', 3, 'files in', ['out/Debug']);
+        logError('Invalid regex pattern: (', new SyntaxError('Unterminated group'));
+
+        assert.deepStrictEqual(channel.messages, [
+            ['info', 'Found 3 files in [ \'out/Debug\' ]'],
+            ['error', 'Invalid regex pattern: ( Unterminated group']
+        ]);
+    });
+
+    it('should log the same error once until the logged errors are cleared', () => {
+        clearLoggedErrors();
+
+        logErrorOnce('Invalid path mapping {}:', new Error('missing from'));
+        logErrorOnce('Invalid path mapping {}:', new Error('missing from'));
+        logErrorOnce('Invalid path mapping {}:', new Error('missing to'));
+        clearLoggedErrors();
+        logErrorOnce('Invalid path mapping {}:', new Error('missing from'));
+
+        assert.deepStrictEqual(channel.messages, [
+            ['error', 'Invalid path mapping {}: missing from'],
+            ['error', 'Invalid path mapping {}: missing to'],
+            ['error', 'Invalid path mapping {}: missing from']
+        ]);
+    });
+});
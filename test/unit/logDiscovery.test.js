@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { discoverLogs, findMatchingFiles } = require('../../src/logDiscovery.js');
+
+describe('Log Discovery Tests', () => {
+    let tempDir;
+    let app;
+    let lib;
+
+    const createFile = (filePath) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '');
+        return filePath;
+    };
+
+    // Workspace folders only need a name and a path here
+    const folderAt = (folderPath) => ({ name: path.basename(folderPath), uri: { fsPath: folderPath } });
+    const settingsFrom = (settings) => (folder) => ({ root: folder?.uri.fsPath || '', wildcards: [], excludes: [], ...settings[folder?.name] });
+
+    beforeEach(() => {
+        tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-discovery-')));
+        app = folderAt(path.join(tempDir, 'app'));
+        lib = folderAt(path.join(tempDir, 'lib'));
+    });
+
+    afterEach(() => {
+        if (tempDir && fs.existsSync(tempDir)) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('findMatchingFiles', () => {
+        it('should leave out excluded files and wildcards starting with !', () => {
+            const debugLog = createFile(path.join(tempDir, 'out/Debug/build.log'));
+            createFile(path.join(tempDir, 'out/Release/build.log'));
+            createFile(path.join(tempDir, 'out/Debug/build.ninja_log'));
+
+            const matches = findMatchingFiles(['out/**/*.*', '!*.ninja_log'], tempDir, ['out/Release']);
+
+            assert.deepStrictEqual(matches, [debugLog]);
+        });
+    });
+
+    describe('discoverLogs', () => {
+        it('should resolve each folder\'s wildcards against that folder', () => {
+            const appLog = createFile(path.join(app.uri.fsPath, 'out/Debug/siso_output'));
+            const libLog = createFile(path.join(lib.uri.fsPath, 'build/lib.log'));
+            createFile(path.join(app.uri.fsPath, 'build/app.log'));
+            createFile(path.join(lib.uri.fsPath, 'out/Debug/siso_output'));
+
+            const logFolders = discoverLogs([app, lib], settingsFrom({
+                app: { wildcards: ['out/*/siso_output'] },
+                lib: { wildcards: ['build/*.log'] }
+            }));
+
+            assert.deepStrictEqual(Array.from(logFolders.entries()), [[appLog, app], [libLog, lib]]);
+        });
+
+        it('should apply each folder\'s excludes to its own logs only', () => {
+            const appLog = createFile(path.join(app.uri.fsPath, 'out/Debug/build.log'));
+            createFile(path.join(lib.uri.fsPath, 'out/Debug/build.log'));
+
+            const logFolders = discoverLogs([app, lib], settingsFrom({
+                app: { wildcards: ['out/*/build.log'] },
+                lib: { wildcards: ['out/*/build.log'], excludes: ['out/Debug'] }
+            }));
+
+            assert.deepStrictEqual(Array.from(logFolders.keys()), [appLog]);
+        });
+
+        it('should assign a log matched by several folders to the first one', () => {
+            const sharedLog = createFile(path.join(tempDir, 'shared/out/build.log'));
+
+            const logFolders = discoverLogs([app, lib], settingsFrom({
+                app: { wildcards: [path.join(tempDir, 'shared/out/*.log')] },
+                lib: { wildcards: ['../shared/out/build.log'] }
+            }));
+
+            assert.strictEqual(logFolders.size, 1);
+            assert.strictEqual(logFolders.get(sharedLog), app);
+            assert.strictEqual(discoverLogs([lib, app], settingsFrom({
+                app: { wildcards: [path.join(tempDir, 'shared/out/*.log')] },
+                lib: { wildcards: ['../shared/out/build.log'] }
+            })).get(sharedLog), lib);
+        });
+
+        it('should resolve absolute wildcards without a workspace folder', () => {
+            const absoluteLog = createFile(path.join(tempDir, 'out/build.log'));
+
+            const logFolders = discoverLogs([undefined], () => ({
+                root: '',
+                wildcards: [path.join(tempDir, 'out/*.log')],
+                excludes: []
+            }));
+
+            assert.deepStrictEqual(Array.from(logFolders.entries()), [[absoluteLog, undefined]]);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { findLocationLinks, findFailedStepRanges } = require('../../src/logDocument.js');
+const { BuildSessionMarkers } = require('../../src/buildSession.js');
+
+const sampleLog = [
+    'ninja: Entering directory `out/Default\'',
+    '[1/3] CXX obj/base/a.o',
+    'FAILED: [code=1] obj/base/a.o',
+    'clang++ -c ../../base/a.cc -o obj/base/a.o',
+    '../../base/a.cc:3:5: error: use of undeclared identifier \'x\'',
+    '../../base/a.h:7:1: note: declared here',
+    '[2/3] CXX obj/base/b.o',
+    'FAILED: obj/base/b.o',
+    'C:\\src\\b.cpp(15,8): error C2065: \'foo\': undeclared identifier',
+    'ninja: build stopped: subcommand failed.'
+];
+
+describe('Build Log Document Tests', () => {
+    describe('findLocationLinks', () => {
+        it('should link the file of every reported location', () => {
+            const links = findLocationLinks(sampleLog, ['$gcc', '$msCompile']);
+
+            assert.deepStrictEqual(links.map(({ line, start, end, errorInfo }) => [line, start, end, errorInfo.line, errorInfo.column]), [
+                [4, 0, 15, 3, 5],
+                [5, 0, 14, 7, 1],
+                [8, 0, 12, 15, 8]
+            ]);
+            assert.strictEqual(links[0].errorInfo.file, '../../base/a.cc');
+        });
+
+        it('should link the file on an earlier line of a multi-line problem', () => {
+            const links = findLocationLinks([
+                'error[E0425]: cannot find value `x` in this scope',
+                ' --> src/main.rs:4:20',
+                'warning: unused variable: `y`',
+                '  --> src/lib.rs:10:9'
+            ], ['$rustc']);
+
+            assert.deepStrictEqual(links.map(({ line, start, end }) => [line, start, end]), [
+                [1, 5, 16],
+                [3, 6, 16]
+            ]);
+
+            const stylish = findLocationLinks([
+                '/src/app.js',
+                '  1:10  error  \'foo\' is defined but never used  no-unused-vars',
+                '  12:3  warning  Unexpected console statement  no-console'
+            ], ['$eslint-stylish']);
+
+            assert.deepStrictEqual(stylish.map(({ line, start, errorInfo }) => [line, start, errorInfo.line]), [
+                [0, 0, 1],
+                [0, 0, 12]
+            ]);
+        });
+
+        it('should ignore ANSI colors and problems without a file', () => {
+            const links = findLocationLinks([
+                '\x1B[1m../../base/a.cc:3:5: \x1B[31merror: \x1B[0mbad',
+                'ld.lld: error: undefined symbol: base::Foo()'
+            ], ['$gcc', '$lld']);
+
+            assert.deepStrictEqual(links.map(({ line, start, end }) => [line, start, end]), [[0, 4, 19]]);
+        });
+    });
+
+    describe('findFailedStepRanges', () => {
+        it('should fold each failed step up to the next step or the end of the build', () => {
+            const ranges = findFailedStepRanges(sampleLog, new BuildSessionMarkers());
+
+            assert.deepStrictEqual(ranges, [
+                { start: 2, end: 5, name: 'obj/base/a.o' },
+                { start: 7, end: 8, name: 'obj/base/b.o' }
+            ]);
+        });
+
+        it('should fold a failed step at the end of the log and skip steps without output', () => {
+            const ranges = findFailedStepRanges([
+                'FAILED: obj/base/a.o',
+                '[2/3] CXX obj/base/b.o',
+                'FAILED: obj/base/b.o',
+                'some output',
+                'more output'
+            ], new BuildSessionMarkers());
+
+            assert.deepStrictEqual(ranges, [{ start: 2, end: 4, name: 'obj/base/b.o' }]);
+        });
+    });
+});
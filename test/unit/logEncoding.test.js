@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { detectEncoding, getConfiguredEncoding, getNewlineBytes } = require('../../src/logEncoding.js');
+
+const workspaceFolder = path.resolve('/home/dev/project');
+const inWorkspace = (relativePath) => path.join(workspaceFolder, relativePath);
+
+describe('Log Encoding Tests', () => {
+    describe('detection', () => {
+        it('should recognize byte order marks', () => {
+            assert.strictEqual(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), 'utf-8');
+            assert.strictEqual(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00])), 'utf-16le');
+            assert.strictEqual(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61])), 'utf-16be');
+        });
+
+        it('should detect UTF-16 from NUL bytes in ASCII text', () => {
+            const text = 'C:\\src\\app.cpp(12): error C2065: undeclared identifier\r\n';
+
+            assert.strictEqual(detectEncoding(Buffer.from(text, 'utf16le')), 'utf-16le');
+            assert.strictEqual(detectEncoding(Buffer.from(text, 'utf16le').swap16()), 'utf-16be');
+        });
+
+        it('should fall back to UTF-8', () => {
+            assert.strictEqual(detectEncoding(Buffer.from('main.c:3: error: oops\n')), 'utf-8');
+            assert.strictEqual(detectEncoding(Buffer.from('ошибка: ')), 'utf-8');
+            assert.strictEqual(detectEncoding(Buffer.from('a')), 'utf-8');
+            assert.strictEqual(detectEncoding(Buffer.alloc(0)), 'utf-8');
+        });
+
+        it('should use the configured encoding unless there is a byte order mark', () => {
+            assert.strictEqual(detectEncoding(Buffer.from('abc\n'), 'windows-1252'), 'windows-1252');
+            assert.strictEqual(detectEncoding(Buffer.from('abc\n', 'utf16le'), 'windows-1252'), 'windows-1252');
+            assert.strictEqual(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00]), 'windows-1252'), 'utf-16le');
+        });
+
+        it('should give the newline bytes of each encoding', () => {
+            assert.deepStrictEqual([...getNewlineBytes('utf-16le')], [0x0a, 0x00]);
+            assert.deepStrictEqual([...getNewlineBytes('utf-16be')], [0x00, 0x0a]);
+            assert.deepStrictEqual([...getNewlineBytes('shift_jis')], [0x0a]);
+        });
+    });
+
+    describe('setting', () => {
+        it('should detect the encoding without a setting', () => {
+            assert.strictEqual(getConfiguredEncoding(undefined, inWorkspace('out/build.log'), workspaceFolder), 'auto');
+            assert.strictEqual(getConfiguredEncoding('auto', inWorkspace('out/build.log'), workspaceFolder), 'auto');
+        });
+
+        it('should normalize encoding labels', () => {
+            assert.strictEqual(getConfiguredEncoding('UTF-16', inWorkspace('out/build.log'), workspaceFolder), 'utf-16le');
+            assert.strictEqual(getConfiguredEncoding(' cp1252 ', inWorkspace('out/build.log'), workspaceFolder), 'windows-1252');
+        });
+
+        it('should use the first glob matching the log', () => {
+            const setting = {
+                'out/win/msbuild.log': 'utf-16le',
+                'out/win/*.log': 'windows-1252',
+                '*.log': 'utf-8'
+            };
+
+            assert.strictEqual(getConfiguredEncoding(setting, inWorkspace('out/win/msbuild.log'), workspaceFolder), 'utf-16le');
+            assert.strictEqual(getConfiguredEncoding(setting, inWorkspace('out/win/link.log'), workspaceFolder), 'windows-1252');
+            assert.strictEqual(getConfiguredEncoding(setting, inWorkspace('out/linux/ninja.log'), workspaceFolder), 'utf-8');
+            assert.strictEqual(getConfiguredEncoding(setting, inWorkspace('out/siso_output'), workspaceFolder), 'auto');
+        });
+
+        it('should detect the encoding instead of using unknown labels', () => {
+            assert.strictEqual(getConfiguredEncoding('cp437', inWorkspace('out/build.log'), workspaceFolder), 'auto');
+            assert.strictEqual(getConfiguredEncoding({ '*.log': 42 }, inWorkspace('out/build.log'), workspaceFolder), 'auto');
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { selectNewestLog, formatFileSize } = require('../../src/logSelection.js');
+
+describe('Log Selection Tests', () => {
+    let tempDir;
+
+    // Creates a log with the given modification time in seconds
+    const createLog = (relativePath, mtime) => {
+        const filePath = path.join(tempDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, 'log');
+        fs.utimesSync(filePath, mtime, mtime);
+        return filePath;
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-select-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('selectNewestLog', () => {
+        it('should select the most recently modified log by default', () => {
+            const older = createLog('out/Debug/siso_output', 1000);
+            const newer = createLog('out/Release/siso_output', 2000);
+
+            assert.strictEqual(selectNewestLog([newer, older]), newer);
+            assert.strictEqual(selectNewestLog([older, newer], 'newestModified'), newer);
+        });
+
+        it('should select the log whose name sorts last, comparing numbers by value', () => {
+            const build9 = createLog('logs/build-9.log', 3000);
+            const build10 = createLog('logs/build-10.log', 1000);
+            const build2 = createLog('logs/build-2.log', 2000);
+
+            assert.strictEqual(selectNewestLog([build9, build10, build2], 'newestName'), build10);
+        });
+
+        it('should break ties by modification time', () => {
+            const older = createLog('out/Debug/build.log', 1000);
+            const newer = createLog('out/Release/build.log', 2000);
+
+            assert.strictEqual(selectNewestLog([newer, older], 'newestName'), newer);
+        });
+
+        it('should select by creation time regardless of later modifications', () => {
+            // The older log was modified after the newer one
+            const older = createLog('out/Debug/siso_output', 5000);
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+            const newer = createLog('out/Release/siso_output', 1000);
+
+            assert.strictEqual(selectNewestLog([older, newer], 'newestModified'), older);
+            assert.strictEqual(selectNewestLog([older, newer], 'newestCreated'), newer);
+        });
+
+        it('should skip missing logs and return null when none exist', () => {
+            const existing = createLog('out/Debug/siso_output', 1000);
+            const missing = path.join(tempDir, 'out/Release/siso_output');
+
+            assert.strictEqual(selectNewestLog([missing, existing]), existing);
+            assert.strictEqual(selectNewestLog([missing]), null);
+            assert.strictEqual(selectNewestLog([]), null);
+        });
+
+        it('should fall back to the modification time for unknown strategies', () => {
+            const older = createLog('a.log', 1000);
+            const newer = createLog('b.log', 2000);
+
+            assert.strictEqual(selectNewestLog([newer, older], 'oldest'), newer);
+            assert.strictEqual(selectNewestLog([newer, older], 'constructor'), newer);
+        });
+    });
+
+    describe('formatFileSize', () => {
+        it('should format sizes with binary units', () => {
+            assert.strictEqual(formatFileSize(0), '0 B');
+            assert.strictEqual(formatFileSize(512), '512 B');
+            assert.strictEqual(formatFileSize(1536), '1.5 KB');
+            assert.strictEqual(formatFileSize(5 * 1024 * 1024), '5.0 MB');
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PathMapper } = require('../../src/pathMappings.js');
+
+const variables = { workspaceFolder: '/home/dev/chromium/src' };
+
+describe('Path Mapping Tests', () => {
+    describe('prefix rules', () => {
+        it('should replace a matching prefix', () => {
+            const mapper = new PathMapper([{ prefix: '/b/s/w/ir/', to: '${workspaceFolder}/' }], variables);
+
+            assert.strictEqual(mapper.map('/b/s/w/ir/base/foo.cc'), '/home/dev/chromium/src/base/foo.cc');
+            assert.strictEqual(mapper.map('/other/base/foo.cc'), null);
+            assert.strictEqual(mapper.map('../../base/foo.cc'), null);
+        });
+
+        it('should apply the first matching rule', () => {
+            const mapper = new PathMapper([
+                { prefix: '/src/third_party/', to: '/opt/third_party/' },
+                { prefix: '/src/', to: '${workspaceRoot}/' }
+            ], variables);
+
+            assert.strictEqual(mapper.map('/src/third_party/zlib/zlib.h'), '/opt/third_party/zlib/zlib.h');
+            assert.strictEqual(mapper.map('/src/base/foo.cc'), '/home/dev/chromium/src/base/foo.cc');
+        });
+    });
+
+    describe('regex rules', () => {
+        it('should replace matches with group references', () => {
+            const mapper = new PathMapper([{ regex: '^/workspace/[^/]+/(.*)$', to: '${workspaceFolder}/$1' }], variables);
+
+            assert.strictEqual(mapper.map('/workspace/job-1234/base/foo.cc'), '/home/dev/chromium/src/base/foo.cc');
+            assert.strictEqual(mapper.map('/workspace/base.cc'), null);
+        });
+
+        it('should not treat $ in the workspace folder as a group reference', () => {
+            const mapper = new PathMapper([{ regex: '^/src/(.*)$', to: '${workspaceFolder}/$1' }], { workspaceFolder: '/home/$1dev' });
+
+            assert.strictEqual(mapper.map('/src/foo.cc'), '/home/$1dev/foo.cc');
+        });
+    });
+
+    describe('invalid rules', () => {
+        it('should skip invalid rules', () => {
+            const mapper = new PathMapper([
+                { regex: '([invalid', to: '/x/' },
+                { prefix: '/src/' },
+                { to: '/x/' },
+                'not a rule',
+                null,
+                { prefix: '/src/', to: '/y/' }
+            ], variables);
+
+            assert.strictEqual(mapper.rules.length, 1);
+            assert.strictEqual(mapper.map('/src/foo.cc'), '/y/foo.cc');
+        });
+
+        it('should ignore settings that are not a list', () => {
+            assert.strictEqual(new PathMapper({ prefix: '/src/', to: '/y/' }).map('/src/foo.cc'), null);
+        });
+    });
+});
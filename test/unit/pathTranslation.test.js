@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PathTranslator, windowsToPosix, posixToWindows } = require('../../src/pathTranslation.js');
+
+describe('Path Translation Tests', () => {
+    describe('windowsToPosix', () => {
+        it('should map drive letters to WSL mounts', () => {
+            assert.strictEqual(windowsToPosix('C:\\src\\chromium\\src\\foo.cc'), '/mnt/c/src/chromium/src/foo.cc');
+            assert.strictEqual(windowsToPosix('d:/out/gen/bar.h'), '/mnt/d/out/gen/bar.h');
+        });
+
+        it('should map WSL shares to the WSL file system', () => {
+            assert.strictEqual(windowsToPosix('\\\\wsl.localhost\\Ubuntu\\home\\me\\foo.cc'), '/home/me/foo.cc');
+            assert.strictEqual(windowsToPosix('\\\\wsl$\\Ubuntu\\home\\me\\foo.cc'), '/home/me/foo.cc');
+        });
+
+        it('should fix the separators of relative paths', () => {
+            assert.strictEqual(windowsToPosix('..\\..\\base\\foo.cc'), '../../base/foo.cc');
+            assert.strictEqual(windowsToPosix('base/foo.cc'), null);
+            assert.strictEqual(windowsToPosix('/home/me/foo.cc'), null);
+        });
+
+        it('should prefer the longest configured root', () => {
+            const roots = {
+                'C:\\src': '/home/me/src',
+                'c:/SRC/chromium': '/home/me/chromium/',
+                '\\\\buildserver\\out': '/mnt/out'
+            };
+
+            assert.strictEqual(windowsToPosix('C:\\src\\chromium\\src\\foo.cc', roots), '/home/me/chromium/src/foo.cc');
+            assert.strictEqual(windowsToPosix('C:\\src\\v8\\foo.cc', roots), '/home/me/src/v8/foo.cc');
+            assert.strictEqual(windowsToPosix('C:\\srcs\\foo.cc', roots), '/mnt/c/srcs/foo.cc');
+            assert.strictEqual(windowsToPosix('\\\\buildserver\\out\\gen\\foo.h', roots), '/mnt/out/gen/foo.h');
+        });
+
+        it('should leave other network shares alone', () => {
+            assert.strictEqual(windowsToPosix('\\\\buildserver\\out\\gen\\foo.h'), null);
+        });
+    });
+
+    describe('posixToWindows', () => {
+        it('should map WSL mounts to drive letters', () => {
+            assert.strictEqual(posixToWindows('/mnt/c/src/chromium/src/foo.cc'), 'C:\\src\\chromium\\src\\foo.cc');
+            assert.strictEqual(posixToWindows('/mnt/d'), 'D:\\');
+        });
+
+        it('should map configured roots', () => {
+            const roots = { '/': '\\\\wsl.localhost\\Ubuntu', '/home/me/src': 'C:\\src' };
+
+            assert.strictEqual(posixToWindows('/home/me/src/foo.cc', roots), 'C:\\src\\foo.cc');
+            assert.strictEqual(posixToWindows('/home/me/foo.cc', roots), '\\\\wsl.localhost\\Ubuntu\\home\\me\\foo.cc');
+        });
+
+        it('should leave relative and unknown paths alone', () => {
+            assert.strictEqual(posixToWindows('../../base/foo.cc'), null);
+            assert.strictEqual(posixToWindows('/home/me/foo.cc'), null);
+            assert.strictEqual(posixToWindows('C:\\src\\foo.cc'), null);
+        });
+    });
+
+    describe('PathTranslator', () => {
+        it('should be off unless enabled', () => {
+            assert.strictEqual(new PathTranslator().translate('C:\\src\\foo.cc'), null);
+            assert.strictEqual(new PathTranslator('sideways').translate('C:\\src\\foo.cc'), null);
+        });
+
+        it('should pick the direction from the platform in auto mode', () => {
+            assert.strictEqual(new PathTranslator('auto', {}, 'linux').translate('C:\\src\\foo.cc'), '/mnt/c/src/foo.cc');
+            assert.strictEqual(new PathTranslator('auto', {}, 'win32').translate('/mnt/c/src/foo.cc'), 'C:\\src\\foo.cc');
+        });
+
+        it('should ignore roots that are not an object', () => {
+            const translator = new PathTranslator('windowsToPosix', ['C:\\src']);
+
+            assert.strictEqual(translator.translate('C:\\src\\foo.cc'), '/mnt/c/src/foo.cc');
+        });
+    });
+});
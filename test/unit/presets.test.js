@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ProblemMatcher } = require('../../src/problemMatcher.js');
+const { presets, expandPresets } = require('../../src/presets.js');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'presets');
+
+// Runs a fixture log through a matcher configured with only the given preset
+const parseFixture = (presetName) => {
+    const matcher = new ProblemMatcher([`$${presetName}`]);
+    const content = fs.readFileSync(path.join(fixturesDir, `${presetName}.log`), 'utf8');
+
+    return content.split(/\r?\n/)
+        .map(line => matcher.parseErrorLine(line.trimEnd()))
+        .filter(errorInfo => errorInfo !== null);
+};
+
+const expectedResults = {
+    'gcc': [
+        { file: '../../base/foo.cc', line: 42, column: 10, severity: 'error', message: '\'bar\' was not declared in this scope' },
+        { file: '../../base/foo.h', line: 7, column: 3, severity: 'note', message: 'declared here' },
+        { file: '../../base/util.cc', line: 15, severity: 'warning', message: 'unused variable \'temp\'' }
+    ],
+    'clang': [
+        { file: '../../base/values.cc', line: 120, column: 7, severity: 'error', message: 'unused variable \'count\'', code: '-Wunused-variable', codeUrl: 'https://clang.llvm.org/docs/DiagnosticsReference.html#wunused-variable' },
+        { file: '../../base/values.h', line: 33, column: 12, severity: 'note', message: 'previous declaration is here' },
+        { file: '../../base/json.cc', line: 9, column: 1, severity: 'warning', message: 'extra \';\' outside of a function', code: '-Wextra-semi', codeUrl: 'https://clang.llvm.org/docs/DiagnosticsReference.html#wextra-semi' }
+    ],
+    'msCompile': [
+        { file: 'C:\\src\\app\\main.cpp', line: 15, column: 8, severity: 'error', code: 'C2065', message: '\'foo\': undeclared identifier' },
+        { file: 'C:\\src\\app\\util.cpp', line: 22, severity: 'warning', code: 'C4996', message: '\'strcpy\': This function may be unsafe.' },
+        { file: 'C:\\src\\app\\main.cpp', line: 3, column: 1, severity: 'fatal error', code: 'C1083', message: 'Cannot open include file: \'missing.h\'' }
+    ],
+    'tsc': [
+        { file: 'src/app.ts', line: 12, column: 5, severity: 'error', code: 'TS2322', message: 'Type \'string\' is not assignable to type \'number\'.' },
+        { file: 'src/util.ts', line: 3, column: 14, severity: 'error', code: 'TS2304', message: 'Cannot find name \'foo\'.' }
+    ],
+    'rustc': [
+        { severity: 'error', code: 'E0425', message: 'cannot find value `x` in this scope', file: 'src/main.rs', line: 4, column: 20, codeUrl: 'https://doc.rust-lang.org/error_codes/E0425.html' },
+        { severity: 'warning', message: 'unused variable: `y`', file: 'src/lib.rs', line: 10, column: 9 }
+    ],
+    'go': [
+        { file: './main.go', line: 12, column: 2, message: 'undefined: fmt.Printn' },
+        { file: './util.go', line: 8, message: 'missing return' }
+    ],
+    'javac': [
+        { file: 'src/com/example/App.java', line: 17, severity: 'error', message: 'cannot find symbol' },
+        { file: 'src/com/example/Util.java', line: 4, severity: 'warning', message: '[deprecation] Date(String) in Date has been deprecated' }
+    ],
+    'lld': [
+        { severity: 'error', message: 'undefined symbol: base::Foo()' },
+        { severity: 'warning', message: 'ignoring unknown argument \'-foo\'' }
+    ],
+    'dotnet': [
+        { file: '/src/App/Program.cs', line: 10, column: 17, severity: 'error', code: 'CS1002', message: '; expected' },
+        { file: '/src/App/Util.cs', line: 4, column: 9, severity: 'warning', code: 'CS0168', message: 'The variable \'e\' is declared but never used' }
+    ],
+    'eslint-stylish': [
+        { file: '/src/app.js', line: 1, column: 10, severity: 'error', message: '\'foo\' is defined but never used', code: 'no-unused-vars', codeUrl: 'https://eslint.org/docs/latest/rules/no-unused-vars' },
+        { file: '/src/app.js', line: 12, column: 3, severity: 'warning', message: 'Unexpected console statement', code: 'no-console', codeUrl: 'https://eslint.org/docs/latest/rules/no-console' },
+        { file: '/src/lib/util.js', line: 7, column: 1, severity: 'error', message: 'Missing semicolon', code: 'semi', codeUrl: 'https://eslint.org/docs/latest/rules/semi' }
+    ]
+};
+
+describe('Problem Matcher Preset Tests', () => {
+    it('should have a fixture and expectations for every preset', () => {
+        assert.deepStrictEqual(Object.keys(presets).sort(), Object.keys(expectedResults).sort());
+    });
+
+    Object.keys(expectedResults).forEach(presetName => {
+        it(`should match the $${presetName} fixture`, () => {
+            assert.deepStrictEqual(parseFixture(presetName), expectedResults[presetName]);
+        });
+    });
+
+    describe('expandPresets', () => {
+        it('should expand preset references in place', () => {
+            const custom = { regexp: '^custom: (.*)$', message: 1 };
+            const expanded = expandPresets([custom, '$gcc', '$rustc']);
+
+            assert.deepStrictEqual(expanded, [custom, ...presets['gcc'], ...presets['rustc']]);
+        });
+
+        it('should report and drop unknown presets', () => {
+            const unknown = [];
+            const expanded = expandPresets(['$doesNotExist', '$constructor', '$go'], name => unknown.push(name));
+
+            assert.deepStrictEqual(unknown, ['$doesNotExist', '$constructor']);
+            assert.deepStrictEqual(expanded, presets['go']);
+        });
+
+        it('should allow mixing presets with custom patterns in a matcher', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^FAILED: (.*)$', message: 1 },
+                '$clang'
+            ]);
+
+            assert.strictEqual(matcher.parseErrorLine('FAILED: obj/foo.o').message, 'obj/foo.o');
+            assert.strictEqual(matcher.parseErrorLine('foo.cc:1:2: warning: bar').severity, 'warning');
+        });
+    });
+});
@@ -0,0 +1,352 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { setOutputChannel } = require('../../src/log.js');
+const { CompiledProblemPatterns, ProblemMatcher } = require('../../src/problemMatcher.js');
+
+const parseLines = (matcher, lines) => lines
+    .map(line => matcher.parseErrorLine(line))
+    .filter(errorInfo => errorInfo !== null);
+
+const gccPattern = {
+    regexp: '^(.+?):(\\d+):(\\d+):\\s*(error|warning|note):\\s*(.+)$',
+    file: 1,
+    line: 2,
+    column: 3,
+    severity: 4,
+    message: 5
+};
+
+const eslintStylishPatterns = [
+    {
+        regexp: '^([^\\s].*)$',
+        file: 1
+    },
+    {
+        regexp: '^\\s+(\\d+):(\\d+)\\s+(error|warning|info)\\s+(.*?)(?:\\s\\s+(.*))?$',
+        line: 1,
+        column: 2,
+        severity: 3,
+        message: 4,
+        code: 5,
+        loop: true
+    }
+];
+
+describe('Problem Matcher Tests', () => {
+    describe('single-line patterns', () => {
+        it('should match a single pattern object', () => {
+            const matcher = new ProblemMatcher([gccPattern]);
+            const result = matcher.parseErrorLine('main.cpp:42:10: error: undefined variable');
+
+            assert.deepStrictEqual(result, {
+                file: 'main.cpp',
+                line: 42,
+                column: 10,
+                severity: 'error',
+                message: 'undefined variable'
+            });
+        });
+
+        it('should use the whole line as the message when there is no message group', () => {
+            const matcher = new ProblemMatcher([{ regexp: '^FAILED: .*$' }]);
+            const result = matcher.parseErrorLine('FAILED: obj/foo.o ');
+
+            assert.strictEqual(result.message, 'FAILED: obj/foo.o');
+        });
+
+        it('should prefer the first configured pattern when several match', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^(error): (.*)$', severity: 1, message: 2 },
+                { regexp: '^error: (.*)$', message: 1 }
+            ]);
+            const result = matcher.parseErrorLine('error: first wins');
+
+            assert.strictEqual(result.severity, 'error');
+            assert.strictEqual(result.message, 'first wins');
+        });
+
+        it('should skip invalid regex patterns', () => {
+            const matcher = new ProblemMatcher([{ regexp: '[invalid(regex' }, gccPattern]);
+            const result = matcher.parseErrorLine('main.cpp:1:2: warning: test');
+
+            assert.strictEqual(result.severity, 'warning');
+        });
+    });
+
+    describe('multi-line patterns', () => {
+        it('should combine capture groups from consecutive lines', () => {
+            const matcher = new ProblemMatcher([[
+                { regexp: '^(warning|error)(?:\\[(E\\d+)\\])?: (.*)$', severity: 1, code: 2, message: 3 },
+                { regexp: '^\\s+-->\\s+(.*?):(\\d+):(\\d+)$', file: 1, line: 2, column: 3 }
+            ]]);
+
+            const results = parseLines(matcher, [
+                'error[E0425]: cannot find value `x` in this scope',
+                '  --> src/main.rs:4:20',
+                '   |'
+            ]);
+
+            assert.deepStrictEqual(results, [{
+                severity: 'error',
+                code: 'E0425',
+                message: 'cannot find value `x` in this scope',
+                file: 'src/main.rs',
+                line: 4,
+                column: 20
+            }]);
+        });
+
+        it('should not report anything when a sequence is broken', () => {
+            const matcher = new ProblemMatcher([[
+                { regexp: '^(error): (.*)$', severity: 1, message: 2 },
+                { regexp: '^\\s+--> (.*):(\\d+)$', file: 1, line: 2 }
+            ]]);
+
+            const results = parseLines(matcher, [
+                'error: something went wrong',
+                'unrelated line',
+                '  --> src/main.rs:4'
+            ]);
+
+            assert.strictEqual(results.length, 0);
+        });
+
+        it('should restart a sequence on the line that broke the previous one', () => {
+            const matcher = new ProblemMatcher([[
+                { regexp: '^(error): (.*)$', severity: 1, message: 2 },
+                { regexp: '^\\s+--> (.*):(\\d+)$', file: 1, line: 2 }
+            ]]);
+
+            const results = parseLines(matcher, [
+                'error: first',
+                'error: second',
+                '  --> src/main.rs:4'
+            ]);
+
+            assert.strictEqual(results.length, 1);
+            assert.strictEqual(results[0].message, 'second');
+        });
+
+        it('should report one problem per line matched by a loop pattern', () => {
+            const matcher = new ProblemMatcher([eslintStylishPatterns]);
+
+            const results = parseLines(matcher, [
+                '/src/app.js',
+                '   1:10  error    "foo" is defined but never used  no-unused-vars',
+                '  12:3   warning  Unexpected console statement     no-console',
+                '',
+                '/src/other.js',
+                '  7:1  error  Missing semicolon  semi'
+            ]);
+
+            assert.deepStrictEqual(results.map(r => [r.file, r.line, r.column, r.severity, r.code]), [
+                ['/src/app.js', 1, 10, 'error', 'no-unused-vars'],
+                ['/src/app.js', 12, 3, 'warning', 'no-console'],
+                ['/src/other.js', 7, 1, 'error', 'semi']
+            ]);
+        });
+
+        it('should keep sequence progress between calls', () => {
+            const matcher = new ProblemMatcher([eslintStylishPatterns]);
+
+            assert.strictEqual(matcher.parseErrorLine('/src/app.js'), null);
+            const result = matcher.parseErrorLine('  3:4  error  Missing semicolon  semi');
+
+            assert.strictEqual(result.file, '/src/app.js');
+            assert.strictEqual(result.line, 3);
+        });
+
+        it('should advance multi-line sequences even when a single-line pattern matches first', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^(.+?):(\\d+): (error): (.*)$', file: 1, line: 2, severity: 3, message: 4 },
+                [
+                    { regexp: '^(.+\\.h):(\\d+): (error): (.*)$', file: 1, line: 2 },
+                    { regexp: '^\\s+note: (.*)$', message: 1 }
+                ]
+            ]);
+
+            const results = parseLines(matcher, [
+                'foo.h:3: error: bad',
+                '    note: from multi-line'
+            ]);
+
+            assert.deepStrictEqual(results.map(r => r.message), ['bad', 'from multi-line']);
+        });
+    });
+
+    describe('code URLs', () => {
+        it('should expand the code and slug placeholders', () => {
+            const matcher = new ProblemMatcher([
+                {
+                    regexp: '^(.*)\\((\\d+)\\): (warning) (C\\d+): (.*)$',
+                    file: 1, line: 2, severity: 3, code: 4, message: 5,
+                    codeUrl: 'https://learn.microsoft.com/cpp/{slug}?code={code}'
+                }
+            ]);
+
+            const result = matcher.parseErrorLine('util.cpp(22): warning C4996: \'strcpy\': This function may be unsafe.');
+
+            assert.strictEqual(result.code, 'C4996');
+            assert.strictEqual(result.codeUrl, 'https://learn.microsoft.com/cpp/c4996?code=C4996');
+        });
+
+        it('should only add a URL to problems with a code', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^(.*):(\\d+): error(?: \\[([^\\]]+)\\])?: (.*)$', file: 1, line: 2, code: 3, message: 4, codeUrl: 'https://example.com/{code}' }
+            ]);
+
+            assert.strictEqual(matcher.parseErrorLine('foo.cc:1: error: bad').codeUrl, undefined);
+            assert.strictEqual(matcher.parseErrorLine('foo.cc:1: error [a b/c]: bad').codeUrl, 'https://example.com/a%20b%2Fc');
+        });
+
+        it('should use the URL of any pattern in a sequence', () => {
+            const matcher = new ProblemMatcher([
+                [
+                    { regexp: '^(error)\\[(E\\d+)\\]: (.*)$', severity: 1, code: 2, message: 3 },
+                    { regexp: '^\\s*--> (.*):(\\d+):(\\d+)$', file: 1, line: 2, column: 3, codeUrl: 'https://example.com/{code}.html' }
+                ]
+            ]);
+
+            const results = parseLines(matcher, ['error[E0425]: cannot find value', ' --> src/main.rs:4:20']);
+
+            assert.strictEqual(results[0].codeUrl, 'https://example.com/E0425.html');
+        });
+    });
+
+    describe('compiled patterns', () => {
+        afterEach(() => {
+            setOutputChannel(null);
+        });
+
+        it('should match case-insensitively unless a pattern sets its flags', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^ERROR: (.*)$', message: 1, flags: '' },
+                { regexp: '^warning: (.*)$', message: 1 }
+            ]);
+
+            assert.strictEqual(matcher.parseErrorLine('error: lower case'), null);
+            assert.strictEqual(matcher.parseErrorLine('ERROR: upper case').message, 'upper case');
+            assert.strictEqual(matcher.parseErrorLine('WARNING: any case').message, 'any case');
+        });
+
+        it('should report invalid patterns once with their setting and skip them', () => {
+            const errors = [];
+            setOutputChannel({ error: message => errors.push(message), warn: () => {}, info: () => {} });
+
+            const sources = ['watchbuildlog.problemMatcherPatterns[0]', 'watchbuildlog.problemMatcherPatterns[1]', 'watchbuildlog.problemMatcherPatterns[2]'];
+            const problemPatterns = [
+                { regexp: '^(unclosed: (.*)$', message: 1 },
+                [{ regexp: '^(.*):$', file: 1 }, { regexp: '^  (.*)$', message: 1, flags: 'g' }],
+                { regexp: '^error: (.*)$', message: 1 }
+            ];
+            const compiled = new CompiledProblemPatterns(problemPatterns, sources);
+            new CompiledProblemPatterns(problemPatterns, sources);
+
+            assert.strictEqual(compiled.sequences.length, 1);
+            assert.strictEqual(errors.length, 2);
+            assert.match(errors[0], /problemMatcherPatterns\[0\]: \^\(unclosed/);
+            assert.match(errors[1], /problemMatcherPatterns\[1\]\[1\]: .*unsupported flags "g"/);
+
+            const matcher = new ProblemMatcher(compiled);
+            assert.strictEqual(parseLines(matcher, ['a.cc:', '  bad', 'error: ok']).length, 1);
+        });
+
+        it('should share compiled patterns between matchers', () => {
+            const compiled = new CompiledProblemPatterns([gccPattern]);
+            const first = new ProblemMatcher(compiled);
+            const second = new ProblemMatcher(compiled);
+
+            assert.strictEqual(first.sequences[0].patterns[0].regex, second.sequences[0].patterns[0].regex);
+            assert.strictEqual(first.parseErrorLine('a.cc:1:2: error: bad').file, 'a.cc');
+            assert.strictEqual(second.getMatchCounts()[0].count, 0);
+        });
+    });
+
+    describe('default severities', () => {
+        it('should use the default severity of a pattern without a severity group', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^(.*\\.go):(\\d+): (.*)$', file: 1, line: 2, message: 3, defaultSeverity: 'Warning' }
+            ]);
+
+            assert.strictEqual(matcher.parseErrorLine('main.go:12: undefined: x').severity, 'warning');
+        });
+
+        it('should prefer the captured severity and override the matcher default', () => {
+            const matcher = new ProblemMatcher([
+                {
+                    patterns: [{ regexp: '^(.*):(\\d+): (?:(error): )?(.*)$', file: 1, line: 2, severity: 3, message: 4, defaultSeverity: 'hint' }],
+                    severity: 'warning'
+                }
+            ]);
+
+            const results = parseLines(matcher, ['a.cc:1: error: bad', 'a.cc:2: style']);
+
+            assert.deepStrictEqual(results.map(r => r.severity), ['error', 'hint']);
+        });
+    });
+
+    describe('problem line counts', () => {
+        it('should report how many lines the last problem spanned', () => {
+            const matcher = new ProblemMatcher([
+                '$gcc',
+                [
+                    { regexp: '^In file (.*)$', file: 1 },
+                    { regexp: '^\\s+(\\d+): (.*)$', line: 1, message: 2, loop: true }
+                ]
+            ]);
+
+            const lineCounts = [
+                'foo.cc:1:2: error: bad',
+                'In file bar.py',
+                '  12: one',
+                '  13: two',
+                'unrelated'
+            ].map(line => {
+                matcher.parseErrorLine(line);
+                return matcher.lastProblemLineCount;
+            });
+
+            // Loop matches span back to the first line of their sequence
+            assert.deepStrictEqual(lineCounts, [1, 0, 2, 3, 0]);
+        });
+    });
+
+    describe('match counts', () => {
+        it('should count the problems each configured entry reported', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^FAILED: (.*)$', message: 1 },
+                '$gcc',
+                [
+                    { regexp: '^In file (.*)$', file: 1 },
+                    { regexp: '^\\s+(\\d+): (.*)$', line: 1, message: 2, loop: true }
+                ]
+            ]);
+
+            parseLines(matcher, [
+                'FAILED: obj/foo.o',
+                'foo.cc:1:2: error: bad',
+                'foo.cc:3:4: warning: worse',
+                'In file bar.py',
+                '  12: one',
+                '  13: two'
+            ]);
+
+            assert.deepStrictEqual(matcher.getMatchCounts(), [
+                { label: '^FAILED: (.*)$', count: 1 },
+                { label: '$gcc', count: 2 },
+                { label: '^In file (.*)$ (+1 more lines)', count: 2 }
+            ]);
+        });
+
+        it('should only count the entry whose problem was reported', () => {
+            const matcher = new ProblemMatcher([
+                { regexp: '^(.*):(\\d+): error: (.*)$', file: 1, line: 2, message: 3 },
+                '$gcc'
+            ]);
+
+            parseLines(matcher, ['foo.cc:1: error: bad']);
+
+            assert.deepStrictEqual(matcher.getMatchCounts().map(entry => entry.count), [1, 0]);
+        });
+    });
+});
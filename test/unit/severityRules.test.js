@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { SeverityRules } = require('../../src/severityRules.js');
+
+const workspaceFolder = path.resolve('/home/dev/project');
+const inWorkspace = (relativePath) => path.join(workspaceFolder, relativePath);
+
+describe('Severity Rule Tests', () => {
+    describe('aliases', () => {
+        it('should map the built-in severity words', () => {
+            const rules = new SeverityRules();
+
+            assert.strictEqual(rules.lookup('Fatal  Error'), 'error');
+            assert.strictEqual(rules.lookup('warn'), 'warning');
+            assert.strictEqual(rules.lookup('info'), 'information');
+            assert.strictEqual(rules.lookup('remark'), 'information');
+            assert.strictEqual(rules.lookup('note'), 'note');
+        });
+
+        it('should treat missing and unknown words as errors', () => {
+            const rules = new SeverityRules();
+
+            assert.strictEqual(rules.lookup(undefined), 'error');
+            assert.strictEqual(rules.lookup('Fehler'), 'error');
+        });
+
+        it('should apply configured aliases over the built-in ones', () => {
+            const rules = new SeverityRules({
+                aliases: { 'Warnung': 'warning', 'Hinweis': 'note', 'ninja: error': 'error', 'remark': 'hint' }
+            });
+
+            assert.strictEqual(rules.lookup('warnung'), 'warning');
+            assert.strictEqual(rules.lookup('Hinweis'), 'note');
+            assert.strictEqual(rules.lookup('ninja:  error'), 'error');
+            assert.strictEqual(rules.lookup('remark'), 'hint');
+        });
+
+        it('should ignore aliases to unknown severities', () => {
+            const rules = new SeverityRules({ aliases: { 'LNK': 'fatal', 'remark': 'none' } });
+
+            assert.strictEqual(rules.lookup('LNK'), 'error');
+            assert.strictEqual(rules.lookup('remark'), 'information');
+        });
+    });
+
+    describe('overrides', () => {
+        it('should downgrade warnings matching a file glob', () => {
+            const rules = new SeverityRules({
+                overrides: [{ file: 'third_party/**', severity: 'warning', to: 'hint' }]
+            }, workspaceFolder);
+
+            assert.strictEqual(rules.resolve({ severity: 'warning' }, inWorkspace('third_party/zlib/zlib.c')), 'hint');
+            assert.strictEqual(rules.resolve({ severity: 'error' }, inWorkspace('third_party/zlib/zlib.c')), 'error');
+            assert.strictEqual(rules.resolve({ severity: 'warning' }, inWorkspace('base/foo.cc')), 'warning');
+        });
+
+        it('should match codes and messages', () => {
+            const rules = new SeverityRules({
+                overrides: [
+                    { code: '^-Wdeprecated', to: 'information' },
+                    { message: 'is deprecated', severity: ['error', 'warning'], to: 'hint' }
+                ]
+            }, workspaceFolder);
+
+            assert.strictEqual(rules.resolve({ severity: 'warning', code: '-Wdeprecated-declarations', message: 'x' }, inWorkspace('a.cc')), 'information');
+            assert.strictEqual(rules.resolve({ severity: 'error', message: '\'foo\' is deprecated' }, inWorkspace('a.cc')), 'hint');
+            assert.strictEqual(rules.resolve({ severity: 'error', code: 'C2065', message: 'undeclared' }, inWorkspace('a.cc')), 'error');
+        });
+
+        it('should apply the first matching override after resolving aliases', () => {
+            const rules = new SeverityRules({
+                aliases: { 'Warnung': 'warning' },
+                overrides: [
+                    { severity: 'warning', file: 'gen/**', to: 'hint' },
+                    { severity: 'warning', to: 'information' }
+                ]
+            }, workspaceFolder);
+
+            assert.strictEqual(rules.resolve({ severity: 'Warnung' }, inWorkspace('gen/a.h')), 'hint');
+            assert.strictEqual(rules.resolve({ severity: 'Warnung' }, inWorkspace('src/a.cc')), 'information');
+        });
+
+        it('should never override notes', () => {
+            const rules = new SeverityRules({ overrides: [{ to: 'error' }] }, workspaceFolder);
+
+            assert.strictEqual(rules.resolve({ severity: 'note' }, inWorkspace('a.cc')), 'note');
+            assert.strictEqual(rules.resolve({ severity: 'warning' }, inWorkspace('a.cc')), 'error');
+        });
+
+        it('should skip invalid overrides', () => {
+            const rules = new SeverityRules({
+                overrides: [
+                    { code: '(', to: 'hint' },
+                    { severity: 'warning', to: 'silent' },
+                    { severity: 'fatal', to: 'hint' },
+                    null,
+                    { severity: 'warning', to: 'information' }
+                ]
+            }, workspaceFolder);
+
+            assert.strictEqual(rules.overrides.length, 1);
+            assert.strictEqual(rules.resolve({ severity: 'warning' }, inWorkspace('a.cc')), 'information');
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mockVscode, requireWithMockVscode, MockEventEmitter } = require('../utils/mockVscode.js');
+
+const { BuildLogStatusBar } = requireWithMockVscode('../../src/statusBar.js');
+
+describe('Build Log Status Bar Tests', () => {
+    let status;
+    let watcher;
+    let statusBar;
+
+    beforeEach(() => {
+        status = {
+            watching: true,
+            parsing: false,
+            activeLogFile: '/work/app/out/Debug/siso_output',
+            activeLogName: 'Debug',
+            pinned: false,
+            logCount: 2,
+            errors: 2,
+            warnings: 1
+        };
+        const changeEmitter = new MockEventEmitter();
+        watcher = {
+            getStatus: () => status,
+            onDidChange: changeEmitter.event,
+            changeEmitter
+        };
+        mockVscode.workspace.asRelativePath = (filePath) => filePath.replace('/work/app/', '');
+        statusBar = new BuildLogStatusBar(watcher);
+    });
+
+    afterEach(() => {
+        statusBar.dispose();
+    });
+
+    it('should show the item with the build log menu command', () => {
+        assert.strictEqual(statusBar.item.visible, true);
+        assert.strictEqual(statusBar.item.command, 'watchbuildlog.showMenu');
+        assert.strictEqual(statusBar.item.alignment, mockVscode.StatusBarAlignment.Left);
+    });
+
+    it('should show the name of the active log with its problem counts', () => {
+        assert.strictEqual(statusBar.item.text, '$(eye) Debug $(error) 2 $(warning) 1');
+        assert.strictEqual(statusBar.item.tooltip, [
+            'Watching 2 build log file(s)',
+            'Active log: out/Debug/siso_output',
+            'Click for build log commands'
+        ].join('\n'));
+    });
+
+    it('should show only the counts when no single log is shown', () => {
+        status.activeLogFile = null;
+        status.activeLogName = null;
+        watcher.changeEmitter.fire();
+
+        assert.strictEqual(statusBar.item.text, '$(eye) $(error) 2 $(warning) 1');
+        assert.strictEqual(statusBar.item.tooltip, 'Watching 2 build log file(s)\nClick for build log commands');
+    });
+
+    it('should show a spinner while parsing', () => {
+        status.parsing = true;
+        watcher.changeEmitter.fire();
+
+        assert.strictEqual(statusBar.item.text, '$(sync~spin) Debug $(error) 2 $(warning) 1');
+        assert.ok(statusBar.item.tooltip.startsWith('Parsing build log...\n'));
+    });
+
+    it('should tell when the active log is pinned', () => {
+        status.pinned = true;
+        watcher.changeEmitter.fire();
+
+        assert.ok(statusBar.item.tooltip.includes('Active log: out/Debug/siso_output (pinned)'));
+    });
+
+    it('should tell when not watching', () => {
+        status = { ...status, watching: false, activeLogFile: null, activeLogName: null, errors: 0, warnings: 0 };
+        watcher.changeEmitter.fire();
+
+        assert.strictEqual(statusBar.item.text, '$(eye-closed) Build Log');
+        assert.strictEqual(statusBar.item.tooltip, 'Not watching build logs\nClick for build log commands');
+    });
+
+    it('should stop updating once disposed', () => {
+        statusBar.dispose();
+        status.errors = 5;
+        watcher.changeEmitter.fire();
+
+        assert.strictEqual(statusBar.item.disposed, true);
+        assert.strictEqual(statusBar.item.text, '$(eye) Debug $(error) 2 $(warning) 1');
+        assert.strictEqual(watcher.changeEmitter.listeners.length, 0);
+    });
+});
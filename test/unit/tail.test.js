@@ -0,0 +1,346 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TailReader } = require('../../src/tailReader.js');
+
+describe('Incremental Log Reading Tests', () => {
+    let tempDir;
+    let logFile;
+
+    const readAll = async (reader) => {
+        const lines = [];
+        const fromStart = reader.refresh();
+        await reader.readLines((text, lineNumber) => lines.push({ text, lineNumber }));
+        return { fromStart, lines };
+    };
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchbuildlog-tail-'));
+        logFile = path.join(tempDir, 'build.log');
+    });
+
+    afterEach(() => {
+        if (tempDir && fs.existsSync(tempDir)) {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('readLines', () => {
+        it('should read the whole file on the first read', async () => {
+            fs.writeFileSync(logFile, 'first\nsecond\n');
+            const reader = new TailReader(logFile);
+
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, true);
+            assert.deepStrictEqual(result.lines, [
+                { text: 'first', lineNumber: 0 },
+                { text: 'second', lineNumber: 1 }
+            ]);
+        });
+
+        it('should only return appended lines on later reads', async () => {
+            fs.writeFileSync(logFile, 'first\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.appendFileSync(logFile, 'second\nthird\n');
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, false);
+            assert.deepStrictEqual(result.lines, [
+                { text: 'second', lineNumber: 1 },
+                { text: 'third', lineNumber: 2 }
+            ]);
+        });
+
+        it('should hold back a partial last line until it is complete', async () => {
+            fs.writeFileSync(logFile, 'first\nsec');
+            const reader = new TailReader(logFile);
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['first']);
+
+            fs.appendFileSync(logFile, 'ond\n');
+            assert.deepStrictEqual((await readAll(reader)).lines, [{ text: 'second', lineNumber: 1 }]);
+        });
+
+        it('should strip carriage returns from CRLF and mixed line endings', async () => {
+            fs.writeFileSync(logFile, 'one\r\ntwo\nthree\r\n');
+            const reader = new TailReader(logFile);
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['one', 'two', 'three']);
+        });
+
+        it('should decode multi-byte characters split across reads', async () => {
+            const bytes = Buffer.from('ошибка\n', 'utf8');
+            fs.writeFileSync(logFile, bytes.subarray(0, 3));
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.appendFileSync(logFile, bytes.subarray(3));
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['ошибка']);
+        });
+
+        it('should return nothing when the file has not changed', async () => {
+            fs.writeFileSync(logFile, 'first\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            const result = await readAll(reader);
+            assert.strictEqual(result.fromStart, false);
+            assert.strictEqual(result.lines.length, 0);
+        });
+    });
+
+    describe('flushPartialLine', () => {
+        it('should return the last line once the file stays the same', async () => {
+            fs.writeFileSync(logFile, 'first\na.cc:9:1: error: oops\r');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            const lines = [];
+            assert.strictEqual(reader.flushPartialLine((text, lineNumber) => lines.push({ text, lineNumber })), false);
+
+            reader.refresh();
+            assert.strictEqual(reader.flushPartialLine((text, lineNumber) => lines.push({ text, lineNumber })), true);
+            assert.deepStrictEqual(lines, [{ text: 'a.cc:9:1: error: oops', lineNumber: 1 }]);
+        });
+
+        it('should not return a line that is still being written', async () => {
+            fs.writeFileSync(logFile, 'first\nsec');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.appendFileSync(logFile, 'ond');
+            reader.refresh();
+            assert.strictEqual(reader.flushPartialLine(() => assert.fail('flushed a growing line')), false);
+            assert.deepStrictEqual((await readAll(reader)).lines, []);
+        });
+
+        it('should read more of a returned line as a line of its own', async () => {
+            fs.writeFileSync(logFile, 'sec');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+            reader.refresh();
+            reader.flushPartialLine(() => {});
+
+            fs.appendFileSync(logFile, 'ond\nthird\n');
+            assert.deepStrictEqual((await readAll(reader)).lines, [
+                { text: 'ond', lineNumber: 1 },
+                { text: 'third', lineNumber: 2 }
+            ]);
+        });
+
+        it('should not return the rest of a skipped line', async () => {
+            fs.writeFileSync(logFile, 'one\ntwo');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+            await reader.skipTo(5);
+            reader.refresh();
+
+            assert.strictEqual(reader.flushPartialLine(() => assert.fail('flushed a skipped line')), false);
+            fs.appendFileSync(logFile, '\nthree\n');
+            assert.deepStrictEqual((await readAll(reader)).lines, [{ text: 'three', lineNumber: 2 }]);
+        });
+    });
+
+    describe('cancellation', () => {
+        it('should stop before the next chunk and continue there on the next read', async () => {
+            fs.writeFileSync(logFile, 'first\nsecond\n');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            const lines = [];
+            assert.strictEqual(await reader.readLines(text => lines.push(text), () => true), false);
+            assert.deepStrictEqual(lines, []);
+
+            assert.strictEqual(await reader.readLines(text => lines.push(text)), true);
+            assert.deepStrictEqual(lines, ['first', 'second']);
+        });
+    });
+
+    describe('skipTo', () => {
+        it('should skip the line the offset falls into and keep counting lines', async () => {
+            fs.writeFileSync(logFile, 'one\ntwo\nthree\nfour\n');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            await reader.skipTo(6);
+            assert.deepStrictEqual((await readAll(reader)).lines, [
+                { text: 'three', lineNumber: 2 },
+                { text: 'four', lineNumber: 3 }
+            ]);
+        });
+
+        it('should keep a line that starts at the offset', async () => {
+            fs.writeFileSync(logFile, 'one\ntwo\nthree\n');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            await reader.skipTo(4);
+            assert.deepStrictEqual((await readAll(reader)).lines, [
+                { text: 'two', lineNumber: 1 },
+                { text: 'three', lineNumber: 2 }
+            ]);
+        });
+
+        it('should skip a line that is still being written', async () => {
+            fs.writeFileSync(logFile, 'one\ntw');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            await reader.skipTo(5);
+            assert.deepStrictEqual((await readAll(reader)).lines, []);
+
+            fs.appendFileSync(logFile, 'o\nthree\n');
+            assert.deepStrictEqual((await readAll(reader)).lines, [{ text: 'three', lineNumber: 2 }]);
+        });
+    });
+
+    describe('encodings', () => {
+        const utf16le = (text) => Buffer.from(text, 'utf16le');
+
+        it('should read UTF-16LE logs with a byte order mark', async () => {
+            fs.writeFileSync(logFile, Buffer.concat([Buffer.from([0xff, 0xfe]), utf16le('error C2065: x\r\nПредупреждение\r\n')]));
+            const reader = new TailReader(logFile);
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['error C2065: x', 'Предупреждение']);
+            assert.strictEqual(reader.encoding, 'utf-16le');
+        });
+
+        it('should detect UTF-16 logs without a byte order mark', async () => {
+            fs.writeFileSync(logFile, Buffer.from('one\ntwo\n', 'utf16le').swap16());
+            const reader = new TailReader(logFile);
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['one', 'two']);
+            assert.strictEqual(reader.encoding, 'utf-16be');
+        });
+
+        it('should decode code units and surrogate pairs split across reads', async () => {
+            const bytes = utf16le('a😀\nb\n');
+            fs.writeFileSync(logFile, bytes.subarray(0, 3));
+            const reader = new TailReader(logFile);
+            assert.deepStrictEqual((await readAll(reader)).lines, []);
+
+            fs.appendFileSync(logFile, bytes.subarray(3, 5));
+            assert.deepStrictEqual((await readAll(reader)).lines, []);
+
+            fs.appendFileSync(logFile, bytes.subarray(5));
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['a😀', 'b']);
+        });
+
+        it('should decode with the configured encoding', async () => {
+            fs.writeFileSync(logFile, Buffer.from([0x8e, 0xe8, 0xa8, 0xa1, 0xaa, 0xa0, 0x0a]));
+            const reader = new TailReader(logFile, 'ibm866');
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['Ошибка']);
+        });
+
+        it('should let a byte order mark win over the configured encoding', async () => {
+            fs.writeFileSync(logFile, Buffer.concat([Buffer.from([0xff, 0xfe]), utf16le('one\n')]));
+            const reader = new TailReader(logFile, 'windows-1252');
+
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['one']);
+        });
+
+        it('should only count whole UTF-16 newlines when skipping', async () => {
+            // U+0A0A is made of two newline bytes
+            fs.writeFileSync(logFile, utf16le('\u0a0a\none\ntwo\nthree\n'));
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            // Falls into the middle of 'one'
+            await reader.skipTo(7);
+            assert.deepStrictEqual((await readAll(reader)).lines, [
+                { text: 'two', lineNumber: 2 },
+                { text: 'three', lineNumber: 3 }
+            ]);
+        });
+
+        it('should keep a UTF-16 line that starts at the offset', async () => {
+            fs.writeFileSync(logFile, utf16le('one\ntwo\n'));
+            const reader = new TailReader(logFile);
+            reader.refresh();
+
+            await reader.skipTo(8);
+            assert.deepStrictEqual((await readAll(reader)).lines, [{ text: 'two', lineNumber: 1 }]);
+        });
+
+        it('should detect the encoding again when the file is replaced', async () => {
+            fs.writeFileSync(logFile, utf16le('one\n'));
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.writeFileSync(logFile, 'first\n');
+            assert.deepStrictEqual((await readAll(reader)).lines.map(l => l.text), ['first']);
+            assert.strictEqual(reader.encoding, 'utf-8');
+        });
+    });
+
+    describe('refresh', () => {
+        it('should start over when the file is truncated', async () => {
+            fs.writeFileSync(logFile, 'old build line 1\nold build line 2\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.writeFileSync(logFile, 'new\n');
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, true);
+            assert.deepStrictEqual(result.lines, [{ text: 'new', lineNumber: 0 }]);
+        });
+
+        it('should start over when the file is truncated and grows past the old offset', async () => {
+            fs.writeFileSync(logFile, 'old1\nold2\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.writeFileSync(logFile, 'line A1\nline B2\n');
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, true);
+            assert.deepStrictEqual(result.lines, [
+                { text: 'line A1', lineNumber: 0 },
+                { text: 'line B2', lineNumber: 1 }
+            ]);
+        });
+
+        it('should keep reading when only appended to after skipping', async () => {
+            fs.writeFileSync(logFile, 'one\ntwo\n');
+            const reader = new TailReader(logFile);
+            reader.refresh();
+            await reader.skipTo(4);
+
+            fs.appendFileSync(logFile, 'three\n');
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, false);
+            assert.deepStrictEqual(result.lines.map(l => l.text), ['two', 'three']);
+        });
+
+        it('should start over when the file is replaced', async () => {
+            fs.writeFileSync(logFile, 'old\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            const replacement = path.join(tempDir, 'build.log.tmp');
+            fs.writeFileSync(replacement, 'old\nnew\n');
+            fs.renameSync(replacement, logFile);
+            const result = await readAll(reader);
+
+            assert.strictEqual(result.fromStart, true);
+            assert.deepStrictEqual(result.lines.map(l => l.text), ['old', 'new']);
+        });
+
+        it('should throw when the file no longer exists', async () => {
+            fs.writeFileSync(logFile, 'first\n');
+            const reader = new TailReader(logFile);
+            await readAll(reader);
+
+            fs.rmSync(logFile);
+            assert.throws(() => reader.refresh());
+        });
+    });
+});
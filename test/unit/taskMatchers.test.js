@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { resolveProblemMatchers } = require('../../src/taskMatchers.js');
+const { ProblemMatcher } = require('../../src/problemMatcher.js');
+const { presets } = require('../../src/presets.js');
+
+const nvccPattern = {
+    regexp: '^(.*)\\((\\d+)\\): (error|warning): (.*)$',
+    file: 1,
+    line: 2,
+    severity: 3,
+    message: 4
+};
+
+// Shaped like the `contributes` section of an extension's package.json
+const contributes = [
+    {
+        problemPatterns: [
+            { name: 'nvcc', ...nvccPattern },
+            {
+                name: 'pylint',
+                patterns: [
+                    { regexp: '^\\*+ Module (.*)$', file: 1 },
+                    { regexp: '^(\\d+),(\\d+): (.*)$', line: 1, column: 2, message: 3, loop: true }
+                ]
+            }
+        ],
+        problemMatchers: [
+            { name: 'nvcc', owner: 'cuda', fileLocation: ['relative', '${workspaceFolder}'], pattern: '$nvcc' },
+            { name: 'pylint', owner: 'python', severity: 'warning', pattern: '$pylint' },
+            { name: 'nvcc-absolute', base: '$nvcc', fileLocation: 'absolute' }
+        ]
+    },
+    {}
+];
+
+const tasks = [
+    {
+        label: 'generate',
+        problemMatcher: {
+            owner: 'generator',
+            fileLocation: ['autoDetect', '${workspaceFolder}/out'],
+            pattern: { regexp: '^GEN (.*):(\\d+) (.*)$', file: 1, line: 2, message: 3 }
+        }
+    },
+    {
+        label: 'build',
+        problemMatcher: ['$gcc', { name: 'custom-gcc', base: '$gcc', severity: 'warning', fileLocation: 'absolute' }]
+    }
+];
+
+describe('Referenced Problem Matcher Tests', () => {
+    describe('contributed matchers', () => {
+        it('should resolve a contributed matcher with a named pattern', () => {
+            const entries = resolveProblemMatchers(['$nvcc'], contributes, []);
+
+            assert.deepStrictEqual(entries, [{
+                patterns: [{ name: 'nvcc', ...nvccPattern }],
+                severity: undefined,
+                fileLocation: ['relative', '${workspaceFolder}']
+            }]);
+        });
+
+        it('should resolve multi-line named patterns and matcher severity defaults', () => {
+            const entries = resolveProblemMatchers(['$pylint'], contributes, []);
+            const matcher = new ProblemMatcher(entries);
+
+            assert.strictEqual(matcher.parseErrorLine('************* Module app.py'), null);
+            const result = matcher.parseErrorLine('12,4: Missing docstring');
+
+            assert.strictEqual(result.file, 'app.py');
+            assert.strictEqual(result.line, 12);
+            assert.strictEqual(result.severity, 'warning');
+        });
+
+        it('should apply base inheritance', () => {
+            const entries = resolveProblemMatchers(['$nvcc-absolute'], contributes, []);
+
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].fileLocation, 'absolute');
+            assert.strictEqual(entries[0].patterns[0].regexp, nvccPattern.regexp);
+        });
+
+        it('should fall back to built-in presets', () => {
+            assert.deepStrictEqual(resolveProblemMatchers(['$gcc'], contributes, []), ['$gcc']);
+        });
+    });
+
+    describe('tasks.json matchers', () => {
+        it('should resolve a task matcher by owner', () => {
+            const entries = resolveProblemMatchers(['generator'], [], tasks);
+            const matcher = new ProblemMatcher(entries);
+            const result = matcher.parseErrorLine('GEN gen/foo.h:3 bad input');
+
+            assert.deepStrictEqual(result, {
+                file: 'gen/foo.h',
+                line: 3,
+                message: 'bad input',
+                fileLocation: ['autoDetect', '${workspaceFolder}/out']
+            });
+        });
+
+        it('should resolve a task matcher by name with a built-in base', () => {
+            const entries = resolveProblemMatchers(['custom-gcc'], [], tasks);
+
+            assert.deepStrictEqual(entries, [{
+                patterns: presets['gcc'],
+                severity: 'warning',
+                fileLocation: 'absolute'
+            }]);
+        });
+    });
+
+    describe('unknown references', () => {
+        it('should report and skip references that cannot be resolved', () => {
+            const unknown = [];
+            const entries = resolveProblemMatchers(['$missing', 'missing', 42, '$go'], contributes, tasks, reference => unknown.push(reference));
+
+            assert.deepStrictEqual(unknown, ['$missing', 'missing', 42]);
+            assert.deepStrictEqual(entries, ['$go']);
+        });
+    });
+});
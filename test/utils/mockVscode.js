@@ -1,7 +1,11 @@
 // Test utilities for mocking VS Code API
+const Module = require('module');
+
 class MockDiagnosticCollection {
-    constructor() {
+    constructor(name) {
+        this.name = name;
         this.diagnostics = new Map();
+        this.disposed = false;
     }
 
     set(uri, diagnostics) {
@@ -23,6 +27,71 @@ class MockDiagnosticCollection {
     get size() {
         return this.diagnostics.size;
     }
+
+    dispose() {
+        this.disposed = true;
+        this.diagnostics.clear();
+    }
+}
+
+class MockEventEmitter {
+    constructor() {
+        this.listeners = [];
+        this.event = (listener) => {
+            this.listeners.push(listener);
+            return { dispose: () => this.listeners.splice(this.listeners.indexOf(listener), 1) };
+        };
+    }
+
+    fire(event) {
+        this.listeners.slice().forEach(listener => listener(event));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+class MockFileSystemWatcher {
+    constructor(globPattern) {
+        this.globPattern = globPattern;
+        this.disposed = false;
+        this.createEmitter = new MockEventEmitter();
+        this.deleteEmitter = new MockEventEmitter();
+        this.changeEmitter = new MockEventEmitter();
+        this.onDidCreate = this.createEmitter.event;
+        this.onDidDelete = this.deleteEmitter.event;
+        this.onDidChange = this.changeEmitter.event;
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+class MockStatusBarItem {
+    constructor(alignment, priority) {
+        this.alignment = alignment;
+        this.priority = priority;
+        this.text = '';
+        this.tooltip = undefined;
+        this.command = undefined;
+        this.visible = false;
+        this.disposed = false;
+    }
+
+    show() {
+        this.visible = true;
+    }
+
+    hide() {
+        this.visible = false;
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.visible = false;
+    }
 }
 
 class MockDiagnostic {
@@ -55,25 +124,83 @@ class MockUri {
     static file(path) {
         return new MockUri(path);
     }
+
+    static parse(value) {
+        return new MockUri(value);
+    }
 }
 
 // Mock VS Code API
 const mockVscode = {
     languages: {
-        createDiagnosticCollection: (name) => new MockDiagnosticCollection()
+        createDiagnosticCollection: (name) => new MockDiagnosticCollection(name)
     },
     workspace: {
+        workspaceFolders: undefined,
         getConfiguration: () => ({
             get: () => [],
             has: () => false
-        })
+        }),
+        createFileSystemWatcher: (globPattern) => new MockFileSystemWatcher(globPattern),
+        asRelativePath: (pathOrUri) => (typeof pathOrUri === 'string' ? pathOrUri : pathOrUri.fsPath)
+    },
+    extensions: {
+        all: []
     },
     window: {
         showErrorMessage: () => {},
         showWarningMessage: () => {},
-        showInformationMessage: () => {}
+        showInformationMessage: () => {},
+        showQuickPick: async () => undefined,
+        createStatusBarItem: (alignment, priority) => new MockStatusBarItem(alignment, priority)
     },
     Diagnostic: MockDiagnostic,
+    DiagnosticRelatedInformation: class {
+        constructor(location, message) {
+            this.location = location;
+            this.message = message;
+        }
+    },
+    Location: class {
+        constructor(uri, range) {
+            this.uri = uri;
+            this.range = range;
+        }
+    },
+    CodeActionKind: { QuickFix: { value: 'quickfix' } },
+    ThemeColor: class {
+        constructor(id) {
+            this.id = id;
+        }
+    },
+    ThemeIcon: class {
+        constructor(id, color) {
+            this.id = id;
+            this.color = color;
+        }
+    },
+    RelativePattern: class {
+        constructor(base, pattern) {
+            this.base = base;
+            this.pattern = pattern;
+        }
+    },
+    TreeItem: class {
+        constructor(label, collapsibleState) {
+            this.label = label;
+            this.collapsibleState = collapsibleState;
+        }
+    },
+    TreeItemCollapsibleState: {
+        None: 0,
+        Collapsed: 1,
+        Expanded: 2
+    },
+    StatusBarAlignment: {
+        Left: 1,
+        Right: 2
+    },
+    EventEmitter: MockEventEmitter,
     Range: MockRange,
     Uri: MockUri,
     DiagnosticSeverity: {
@@ -84,9 +211,27 @@ const mockVscode = {
     }
 };
 
+// Requires a module of the extension with require('vscode') returning mockVscode, for
+// testing code that uses the VS Code API directly
+function requireWithMockVscode(modulePath) {
+    const load = Module._load;
+    Module._load = function (request, ...args) {
+        return request === 'vscode' ? mockVscode : load.call(this, request, ...args);
+    };
+    try {
+        return require(modulePath);
+    } finally {
+        Module._load = load;
+    }
+}
+
 module.exports = {
     mockVscode,
+    requireWithMockVscode,
     MockDiagnosticCollection,
+    MockEventEmitter,
+    MockFileSystemWatcher,
+    MockStatusBarItem,
     MockDiagnostic,
     MockRange,
     MockUri